@@ -0,0 +1,555 @@
+'use strict';
+
+/**
+ * Tests for tokenize-css. Run with Node's built-in runner:
+ *
+ *   node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { tokenize, tokenizeMany, parseStylesheet } = require('../tokenize-css');
+
+const CLI = path.join(__dirname, '..', 'tokenize-css.js');
+
+/**
+ * Run the CLI in a fresh temporary directory holding `app.css`.
+ *
+ * @param {string[]} args CLI arguments after the script.
+ * @param {string} [css] Contents of `app.css`.
+ * @returns {{dir:string, status:number, stdout:string, stderr:string}} Directory and process result.
+ */
+function cli(args, css = 'body{color:#111;background:#fff}\n') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenize-css-'));
+  fs.writeFileSync(path.join(dir, 'app.css'), css);
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+  return { dir, status, stdout, stderr };
+}
+
+/**
+ * Rewrite `css` with default options and return the rewritten stylesheet.
+ *
+ * @param {string} css Input CSS.
+ * @param {object} [options] Extra `tokenize()` options.
+ * @returns {string} Rewritten CSS.
+ */
+function rewrite(css, options) {
+  return tokenize(css, options).rewrittenCss;
+}
+
+/* ---------------------------------------------------------------
+   PARSING
+---------------------------------------------------------------- */
+
+test('the rule tree keeps at-rules, nesting and exact value offsets', () => {
+  const css = '@media (min-width: 40em) {\n  .a { color: red; &:hover { color: blue } }\n}\n.b { content: "x{y:z}"; }\n';
+  const [media, b] = parseStylesheet(css).children;
+  assert.deepEqual([media.type, media.name, media.prelude], ['atrule', 'media', '(min-width: 40em)']);
+  const [decl, hover] = media.children[0].children;
+  assert.equal(hover.selector, '&:hover');
+  assert.equal(css.slice(decl.valueStart, decl.valueEnd), 'red');
+  assert.equal(b.children[0].value, '"x{y:z}"');
+});
+
+test('nested rules and at-rule blocks are rewritten in place', () => {
+  const css = 'body { color: #222; background: #fff }\n.a {\n  color: #3b82f6;\n  &:hover { color: #3b82f6 }\n}\n' +
+    '@media (min-width: 40em) {\n  .b { margin: 8px }\n}\n';
+  const tail = '.a {\n  color: var(--color-primary);\n  &:hover { color: var(--color-primary) }\n}\n' +
+    '@media (min-width: 40em) {\n  .b { margin: var(--space-1) }\n}\n';
+  assert.ok(rewrite(css).endsWith(`}\n${tail}`));
+});
+
+/* ---------------------------------------------------------------
+   COLOR REWRITES: declaration values only
+---------------------------------------------------------------- */
+
+test('colors in comments are left alone', () => {
+  const out = rewrite('/* brand: #ff0000 */\n.a{color:#ff0000}\n.b{/* #ff0000 */background:#ff0000}\n');
+  assert.match(out, /\/\* brand: #ff0000 \*\//);
+  assert.match(out, /\/\* #ff0000 \*\//);
+  assert.match(out, /\.a\{color:var\(--[\w-]+\)\}/);
+  assert.match(out, /background:var\(--[\w-]+\)\}/);
+});
+
+test('colors in attribute selectors are left alone', () => {
+  const out = rewrite('a[href="#ff0000"], [data-c=#ff0000]{color:#ff0000}\n');
+  assert.match(out, /^a\[href="#ff0000"\], \[data-c=#ff0000\]\{color:var\(--[\w-]+\)\}/);
+});
+
+test('url() fragments are left alone', () => {
+  const out = rewrite('.a{color:#abc;fill:url(#abc);background:url(#abc) #abc}\n');
+  assert.match(out, /fill:url\(#abc\);/);
+  assert.match(out, /background:url\(#abc\) var\(--[\w-]+\)\}/);
+  assert.doesNotMatch(out, /url\(var\(/);
+});
+
+test('colors inside strings are left alone', () => {
+  const out = rewrite('.q::before{content:"#333";color:#333}\n.r::after{content:\'#333 #fff\';background:#fff}\n');
+  assert.match(out, /content:"#333";color:var\(--[\w-]+\)/);
+  assert.match(out, /content:'#333 #fff';background:var\(--[\w-]+\)/);
+});
+
+test('var() fallbacks are left alone', () => {
+  const out = rewrite('.a{color:var(--x, #fff);border-color:var(--y, var(--z, #fff))}\n.b{color:#fff}\n');
+  assert.match(out, /color:var\(--x, #fff\);/);
+  assert.match(out, /border-color:var\(--y, var\(--z, #fff\)\)\}/);
+  assert.match(out, /\.b\{color:var\(--[\w-]+\)\}/);
+});
+
+test('a color used only in protected contexts gets no token', () => {
+  const { tokensCss, manifest } = tokenize('/* #123456 */\n[data-c="#123456"]{content:"#123456";fill:url(#123456)}\n');
+  assert.deepEqual(manifest.colors, { semantic: {}, numbered: {} });
+  assert.doesNotMatch(tokensCss, /#123456/);
+});
+
+/* ---------------------------------------------------------------
+   COLOR LITERALS
+---------------------------------------------------------------- */
+
+test('color literals that differ only in case share one token', () => {
+  const css = '.a{color:#abcdef;background:#ABCDEF}\n.b{border-color:currentColor;outline-color:CurrentColor}\n' +
+    '.c{background:transparent}\n.d{background:Transparent}\n';
+  const { tokensCss, rewrittenCss } = tokenize(css);
+  const root = tokensCss.slice(0, tokensCss.indexOf('}'));
+  assert.equal(root.match(/currentColor/g).length, 1);
+  assert.equal(root.match(/rgba\(0, 0, 0, 0\)/g).length, 1);
+  const [, a, b] = /\.a\{color:(var\([\w-]+\));background:(var\([\w-]+\))\}/.exec(rewrittenCss);
+  assert.equal(a, b);
+  const [, c, d] = /border-color:(var\([\w-]+\));outline-color:(var\([\w-]+\))/.exec(rewrittenCss);
+  assert.equal(c, d);
+});
+
+test('transparent and currentColor never fill a color role', () => {
+  const { manifest } = tokenize('.a{color:transparent}\n.b{color:currentColor}\n.c{color:oklch(60% 0.2 250)}\n');
+  const roles = Object.values(manifest.colors.semantic);
+  assert.ok(roles.length > 0);
+  for (const lit of roles) assert.doesNotMatch(lit, /transparent|currentColor|rgba\(0, 0, 0, 0\)/i);
+});
+
+test('color functions that cannot be resolved are left alone', () => {
+  const css = 'body{color:#111;background:#fff}\n.a{color:hsl(from red h s l)}\n.b{color:rgb(calc(10 + 5) 0 0)}\n';
+  const { rewrittenCss, manifest } = tokenize(css);
+  assert.match(rewrittenCss, /\.a\{color:hsl\(from red h s l\)\}/);
+  assert.match(rewrittenCss, /\.b\{color:rgb\(calc\(10 \+ 5\) 0 0\)\}/);
+  assert.doesNotMatch(JSON.stringify(manifest.colors), /from red|calc/);
+});
+
+test('identical colors written differently share a token without --merge-colors', () => {
+  const css = 'body{color:#222;background:white}\n.a{background:#fff;border-color:#FFFFFF}\n' +
+    '.b{color:rgb(255 255 255);fill:#3b82f6}\n.c{color:#e5e7eb}\n';
+  const { tokensCss, rewrittenCss, manifest } = tokenize(css);
+  assert.deepEqual(manifest.colors.merged, { '#fff': ['#ffffff', 'rgb(255 255 255)', 'white'] });
+  const refs = rewrittenCss.match(/(?<=background:|border-color:|\.b\{color:)var\([\w-]+\)/g);
+  assert.equal(new Set(refs).size, 1);
+  assert.equal(tokenize(css, { seed: tokensCss }).tokensCss, tokensCss);
+});
+
+test('--palette only snaps literals that look the same as a step', () => {
+  const css = 'body{color:#111;background:#fff}\n.a{color:#3b82f6;border-color:#3b82f6}\n.b{background:#2563eb}\n';
+  const { manifest, rewrittenCss } = tokenize(css, { palette: true });
+  assert.deepEqual(manifest.colors.snapped, {});
+  assert.match(rewrittenCss, /\.b\{background:var\(--c\d+\)\}/);
+});
+
+/* ---------------------------------------------------------------
+   DARK MODE
+---------------------------------------------------------------- */
+
+test('--dark-mode both always leaves a light opt-out', () => {
+  const css = 'body{color:#111;background:#fff}\n';
+  assert.match(tokenize(css, { darkMode: 'both' }).tokensCss, /:root:not\(\[data-theme="light"\]\)\{/);
+  const custom = tokenize(css, { darkMode: 'both', darkSelector: '.night', lightSelector: '.day' }).tokensCss;
+  assert.match(custom, /@media \(prefers-color-scheme: dark\)\{\n  :root:not\(\.day\)\{/);
+  assert.match(custom, /\n\.night\{/);
+  assert.throws(() => tokenize(css, { darkMode: 'both', darkSelector: '.night' }), /lightSelector/);
+});
+
+test('the oklch algorithm flips lightness and keeps the hue', () => {
+  const css = 'body{color:#222222;background:#ffffff}\na{color:#3b82f6}\n';
+  const dark = tokenize(css, { algorithm: 'oklch' }).tokensCss.split(':root[data-theme="dark"]')[1];
+  // #222222 and #ffffff
+  assert.match(dark, /: #b6b6b6;/);
+  assert.match(dark, /: #0d0d0d;/);
+  assert.match(dark, /--color-primary: #4584eb;/);
+});
+
+test('dark redeclarations of input variables are their dark value', () => {
+  const css = ':root{--brand:#3b82f6;--ink:#111}\n.dark{--brand:#60a5fa}\nbody{color:var(--ink);background:#fff}\n' +
+    'a{color:var(--brand)}\n.btn{background:var(--brand)}\n';
+  const { tokensCss, rewrittenCss } = tokenize(css, { darkMode: 'class' });
+  assert.match(rewrittenCss, /\.dark\{--brand:#60a5fa\}/);
+  const dark = tokensCss.slice(tokensCss.indexOf('.dark{'));
+  assert.match(dark, /--color-primary: #60a5fa;/);
+  assert.match(dark, /--brand: #60a5fa;/);
+  assert.doesNotMatch(dark, /--ink:/);
+});
+
+test('variables declared on other selectors are never reused', () => {
+  const { tokensCss, rewrittenCss } = tokenize('.card{--x:#3b82f6}\na{color:#3b82f6}\n');
+  assert.doesNotMatch(tokensCss, /var\(--x\)/);
+  assert.match(rewrittenCss, /a\{color:var\(--color-[\w-]+\)\}/);
+});
+
+test('global variables redeclared in another scope are not reused', () => {
+  const { tokensCss, rewrittenCss } = tokenize(':root{--brand:#3b82f6}\n.t{--brand:red}\na{color:#3b82f6}\n');
+  assert.doesNotMatch(tokensCss, /var\(--brand\)/);
+  assert.doesNotMatch(rewrittenCss, /a\{color:var\(--brand\)\}/);
+});
+
+test('the two sides of a contrast pair never share a color', () => {
+  const { manifest } = tokenize(':root{--brand:#3b82f6}\na{color:var(--brand)}\n.btn{background:var(--brand)}\n');
+  const roles = manifest.colors.semantic;
+  assert.equal(roles['--color-fg'], '#3b82f6');
+  assert.ok(!roles['--color-bg']);
+});
+
+test('--contrast fixes every dark pair and only reports dark failures', () => {
+  // --color-primary on --color-bg darkens the background the first pair was fixed against
+  const css = 'body{color:#3bcb7d;background:#0044aa}\n.card{background:#6c2ff6;color:#22cbf2}\n' +
+    'a{color:#2b9b10}\n.muted{color:#584a82}\n';
+  const { contrast } = tokenize(css, { contrast: true }).manifest;
+  assert.deepEqual(contrast.pairs.map((p) => [p.fg, p.bg, p.pass.dark]), [
+    ['--color-fg', '--color-bg', true],
+    ['--color-primary', '--color-bg', true],
+  ]);
+  assert.ok(contrast.pairs.some((p) => !p.pass.light));
+  assert.deepEqual(contrast.failures, []);
+});
+
+/* ---------------------------------------------------------------
+   RESPONSIVE TOKENS
+---------------------------------------------------------------- */
+
+test('responsive tokens never take a name the input declares', () => {
+  const css = ':root{--h1-font-size:99px}\nh1{font-size:24px}\n@media (min-width:768px){h1{font-size:32px}}\n';
+  const { tokensCss, rewrittenCss } = tokenize(css);
+  assert.match(tokensCss, /--h1-font-size-2: 24px;/);
+  assert.doesNotMatch(tokensCss, /--h1-font-size:/);
+  assert.match(rewrittenCss, /:root\{--h1-font-size:99px\}\nh1\{font-size:var\(--h1-font-size-2\)\}/);
+});
+
+/* ---------------------------------------------------------------
+   SCALES AND NAMING
+---------------------------------------------------------------- */
+
+test('--fluid turns responsive and scale sizes into clamp()', () => {
+  const css = 'h1{font-size:24px}\n@media (min-width:1024px){h1{font-size:40px}}\np{font-size:21px;padding:32px}\n';
+  const { tokensCss, rewrittenCss } = tokenize(css, { fluid: true });
+  assert.match(tokensCss, /^ {2}--h1-font-size: clamp\(1\.5rem, 1\.0455rem \+ 2\.2727vw, 2\.5rem\);$/m);
+  assert.match(tokensCss, /^ {2}--fs-1: clamp\(1\.05rem, 0\.9307rem \+ 0\.5966vw, 1\.3125rem\);$/m);
+  assert.match(tokensCss, /^ {2}--space-1: clamp\(1\.6rem, 1\.4182rem \+ 0\.9091vw, 2rem\);$/m);
+  assert.match(rewrittenCss, /@media \(min-width:1024px\)\{h1\{font-size:var\(--h1-font-size\)\}\}/);
+});
+
+test('--snap moves near-miss sizes onto the type scale and spacing grid', () => {
+  const css = 'p{padding:17px;margin:8px}\n.b{padding:24px;gap:4px}\n' +
+    'h1{font-size:16px}h2{font-size:20px}h3{font-size:25px}h4{font-size:31.25px}h5{font-size:17px}\n';
+  const { manifest, rewrittenCss } = tokenize(css, { snap: 0.1 });
+  assert.equal(manifest.scale.fontSizes.ratio, 1.25);
+  assert.deepEqual(manifest.scale.fontSizes.snapped, { '17px': '--fs-base' });
+  assert.deepEqual(manifest.scale.spacing.snapped, { '17px': '--space-4' });
+  assert.match(rewrittenCss, /p\{padding:var\(--space-4\);margin:var\(--space-2\)\}/);
+  assert.match(rewrittenCss, /h5\{font-size:var\(--fs-base\)\}/);
+});
+
+test('semantic naming gives sizes t-shirt names centred on md', () => {
+  const css = 'p{font-size:14px;padding:4px;font-weight:400}\nh3{font-size:16px;padding:8px}\n' +
+    'h2{font-size:21px;padding:1rem;margin:16px}\nb{font-weight:bold}\n' +
+    '.a{box-shadow:0 1px 2px #0003;border-radius:4px}\n.b{box-shadow:0 4px 8px #0003;border-radius:8px}\n';
+  const { tokensCss, rewrittenCss } = tokenize(css, { naming: 'semantic' });
+  const root = tokensCss.split('\n}')[0];
+  for (const line of ['--fs-sm: 14px', '--fs-md: 16px', '--fs-lg: 21px', '--space-sm: 0.25rem', '--space-md: 0.5rem',
+    '--space-lg: 1rem', '--radius-md: 4px', '--radius-lg: 8px', '--shadow-md: 0 1px 2px #0003', '--fw-regular: 400',
+    '--fw-bold: bold']) {
+    assert.ok(root.includes(`  ${line};`), line);
+  }
+  assert.match(rewrittenCss, /h2\{font-size:var\(--fs-lg\);padding:var\(--space-lg\);margin:var\(--space-lg\)\}/);
+});
+
+/* ---------------------------------------------------------------
+   CONTRAST REPORT
+---------------------------------------------------------------- */
+
+test('the contrast report pairs real colors and skips unknown backgrounds', () => {
+  const css = 'body{color:#111;background:#fff}\n.g{color:#fff;background:linear-gradient(#fff,#000)}\n' +
+    '.t{color:transparent;background:#fff}\n@media (prefers-color-scheme: dark){.d{color:#eee;background:#111}}\n';
+  const { pairs } = tokenize(css).contrastReport;
+  const bySelector = (sel) => pairs.find((p) => p.selectors.includes(sel));
+  assert.ok(!bySelector('.g'));
+  assert.ok(!bySelector('.t'));
+  const d = bySelector('@media (prefers-color-scheme: dark) .d');
+  assert.equal(d.scope, 'dark');
+  assert.equal(d.light, null);
+  assert.equal(d.dark.ratio, 16.28);
+  assert.equal(bySelector('body').light.ratio, 18.88);
+});
+
+test('the contrast report resolves variables the input declares', () => {
+  const css = ':root{--brand:#3b82f6}\nbody{color:#111;background:#fff}\na{color:var(--brand);background:#fff}\n';
+  const { pairs } = tokenize(css).contrastReport;
+  const a = pairs.find((p) => p.selectors.includes('a'));
+  assert.deepEqual([a.fg, a.bg], ['#3b82f6', '#fff']);
+});
+
+/* ---------------------------------------------------------------
+   DTCG
+---------------------------------------------------------------- */
+
+test('DTCG groups tokens by kind and reads its own names back', () => {
+  const css = 'body{color:#111;background:#fff}\na{color:#3b82f6}\n.x{border-color:#b91c1c;padding:8px;font-size:24px}\n';
+  const { manifest } = tokenize(css, { format: 'dtcg' });
+  assert.equal(manifest.color.primary.$extensions['tokenize-css'].name, '--color-primary');
+  assert.equal(manifest.color.primary.$value.hex, '#3b82f6');
+  assert.equal(manifest.spacing['1'].$extensions['tokenize-css'].name, '--space-1');
+  assert.deepEqual(manifest.fontSize['1'].$value, { value: 24, unit: 'px' });
+  for (const group of Object.values(manifest)) {
+    for (const token of Object.values(group)) assert.ok('$value' in token);
+  }
+  const sizes = { format: 'dtcg', features: 'spacing,typography' };
+  const { manifest: seed, tokensCss } = tokenize(css, sizes);
+  assert.equal(tokenize(css, { ...sizes, seed }).tokensCss, tokensCss);
+});
+
+test('DTCG aliases roles that hold input variables and keeps their names', () => {
+  const css = ':root{--brand-dark:#990000;--brand:#ff0000}\nbody{color:#111;background:#fff}\na{color:var(--brand)}\n' +
+    '.x{color:var(--brand-dark);border-color:#3b82f6}\n';
+  const { manifest, tokensCss } = tokenize(css, { format: 'dtcg' });
+  assert.equal(manifest.color.brand.$extensions['tokenize-css'].name, '--brand');
+  assert.equal(manifest.color['brand-dark'].$extensions['tokenize-css'].name, '--brand-dark');
+  assert.equal(manifest.color.primary.$value, '{color.brand}');
+  assert.equal(tokenize(css, { seed: manifest }).tokensCss, tokensCss);
+});
+
+test('DTCG files responsive tokens under their kind', () => {
+  const css = 'body{color:#111;background:#fff}\nh1{font-size:24px}\n@media (min-width:768px){h1{font-size:32px}}\n';
+  const { manifest, tokensCss } = tokenize(css, { format: 'dtcg' });
+  const h1 = manifest.fontSize['h1-font-size'];
+  assert.equal(h1.$extensions['tokenize-css'].name, '--h1-font-size');
+  assert.deepEqual(Object.values(h1.$extensions['tokenize-css'].media), [{ value: 32, unit: 'px' }]);
+  assert.equal(tokenize(css, { seed: manifest }).tokensCss, tokensCss);
+});
+
+test('border widths never collect corner radii', () => {
+  const css = '.a{border:1px solid #ccc;border-radius:6px;border-top-left-radius:8px}\n';
+  const { manifest } = tokenize(css, { format: 'dtcg' });
+  assert.deepEqual(Object.values(manifest.borderWidth).map((t) => t.$value), [{ value: 1, unit: 'px' }]);
+  assert.match(rewrite(css), /border-radius:var\(--radius-1\);border-top-left-radius:8px/);
+});
+
+/* ---------------------------------------------------------------
+   TAILWIND
+---------------------------------------------------------------- */
+
+test('Tailwind themes reference the tokens under prefix-free keys', () => {
+  const css = 'body{color:#111;background:#fff;padding:8px;border-radius:6px}\n';
+  const config = tokenize(css).tailwindConfig;
+  const { extend } = new Function('module', `${config}; return module.exports;`)({}).theme;
+  assert.equal(extend.colors.fg, 'var(--color-fg)');
+  assert.equal(extend.spacing['1'], 'var(--space-1)');
+  assert.equal(extend.borderRadius['1'], 'var(--radius-1)');
+  const theme = tokenize(css).tailwindTheme;
+  assert.match(theme, /^@theme inline \{$/m);
+  assert.match(theme, /^ {2}--color-fg: var\(--color-fg\);$/m);
+  assert.match(theme, /^ {2}--spacing-1: var\(--space-1\);$/m);
+  assert.match(theme, /^ {2}--radius-1: var\(--radius-1\);$/m);
+  assert.doesNotMatch(theme, /--(?:spacing-space|radius-radius)-/);
+});
+
+/* ---------------------------------------------------------------
+   TOKEN MODULE
+---------------------------------------------------------------- */
+
+test('the token module nests every token under its group', () => {
+  const css = 'body{color:#111;background:#fff;padding:8px}\n.a{color:#3b82f6}\n.b{color:#990000}\n';
+  const seed = { brand: { dark: { $type: 'color', $value: '#990000' } } };
+  const { tokensTs } = tokenize(css, { seed });
+  const tree = tokensTs.match(/^export const tokens = (\{[\s\S]*?^\}) as const;$/m)[1];
+  const tokens = new Function(`return ${tree};`)();
+  assert.equal(tokens.color.primary, 'var(--color-primary)');
+  assert.equal(tokens.color['brand-dark'], 'var(--brand-dark)');
+  assert.equal(tokens.space[1], 'var(--space-1)');
+  assert.deepEqual(Object.keys(tokens), ['color', 'space']);
+  assert.match(tokensTs, /^ {4}'--color-primary': '#3b82f6',$/m);
+});
+
+/* ---------------------------------------------------------------
+   NATIVE
+---------------------------------------------------------------- */
+
+test('native outputs carry both themes and pixel dimensions', () => {
+  const css = 'body{color:#222222;background:#ffffff}\na{color:#3b82f6}\n.card{padding:8px;border-radius:4px}\n';
+  const { android, compose, swift } = tokenize(css, { algorithm: 'oklch' });
+  assert.match(android.colors, /<color name="color_primary">#3B82F6<\/color>/);
+  assert.match(android.colorsNight, /<color name="color_primary">#4584EB<\/color>/);
+  assert.match(android.dimens, /<dimen name="space_1">8dp<\/dimen>\n {4}<dimen name="radius_1">4dp<\/dimen>/);
+  assert.match(compose, /object TokenColors \{\n {4}val ColorFg = Color\(0xFF222222\)/);
+  assert.match(compose, /object TokenColorsDark \{\n {4}val ColorFg = Color\(0xFFB6B6B6\)/);
+  assert.match(compose, /val Space1 = 8\.dp/);
+  const primary = swift.slice(swift.indexOf('static let colorPrimary = UIColor'));
+  assert.match(primary, /^.*\n.*\n {12}\? UIColor\(red: 0\.2706, green: 0\.5176, blue: 0\.9216, alpha: 1\)\n/);
+  assert.match(primary, /^.*\n.*\n.*\n {12}: UIColor\(red: 0\.2314, green: 0\.5098, blue: 0\.9647, alpha: 1\)\n/);
+  assert.match(swift, /static let colorPrimary = Color\(uiColor: \.colorPrimary\)/);
+});
+
+/* ---------------------------------------------------------------
+   SEEDING
+---------------------------------------------------------------- */
+
+test('seeds match lengths by pixels and keep their own spelling', () => {
+  const css = 'h1{font-size:24px}\nh2{font-size:1.5rem}\np{padding:16px}\n';
+  const result = tokenize(css, { seed: ':root{--fs-hero:1.5rem;--space-lg:1rem}\n' });
+  assert.match(result.tokensCss, /^ {2}--fs-hero: 1\.5rem;$/m);
+  assert.match(result.tokensCss, /^ {2}--space-lg: 1rem;$/m);
+  assert.equal(result.tokensCss.match(/^ {2}--fs-hero:/gm).length, 2); // light and dark, once each
+  assert.equal(result.rewrittenCss, 'h1{font-size:var(--fs-hero)}\nh2{font-size:var(--fs-hero)}\np{padding:var(--space-lg)}\n');
+});
+
+/* ---------------------------------------------------------------
+   EMBEDDED CSS
+---------------------------------------------------------------- */
+
+test('CSS in markup and tagged templates is rewritten in place', () => {
+  const vue = '<template>\n  <p style="color: #3b82f6; padding: {{ pad }}">Hi</p>\n</template>\n' +
+    '<style scoped>\nbody { color: #222; background: #fff; }\na { color: #3b82f6; margin: 8px; }\n</style>\n' +
+    '<style lang="scss">\na { color: #3b82f6; }\n</style>\n';
+  const html = '<html><body style="margin: 8px"><style>a { color: #3b82f6 }</style></body></html>\n';
+  const jsx = 'export const Button = styled.button`\n  color: #3b82f6;\n  padding: ${(p) => p.pad}px 8px;\n' +
+    '  border: 1px solid ${(p) => (p.on ? "#3b82f6" : "#fff")};\n`;\nconst plain = `color: #3b82f6`;\n';
+  const { files } = tokenizeMany([
+    { file: 'App.vue', css: vue },
+    { file: 'index.html', css: html },
+    { file: 'Button.jsx', css: jsx },
+  ]);
+  assert.deepEqual(files.map((f) => f.file), ['App.vue', 'index.html', 'Button.jsx']);
+  const [sfc, page, button] = files.map((f) => f.rewrittenCss);
+  assert.match(sfc, /^<template>\n {2}<p style="color: var\(--color-primary\); padding: \{\{ pad \}\}">Hi<\/p>\n<\/template>\n/);
+  assert.match(sfc, /\na \{ color: var\(--color-primary\); margin: var\(--space-1\); \}\n<\/style>\n/);
+  assert.ok(sfc.endsWith('<style lang="scss">\na { color: #3b82f6; }\n</style>\n'));
+  assert.equal(page, '<html><body style="margin: var(--space-1)"><style>a { color: var(--color-primary) }</style></body></html>\n');
+  assert.equal(
+    button,
+    'export const Button = styled.button`\n  color: var(--color-primary);\n  padding: ${(p) => p.pad}px var(--space-1);\n' +
+      '  border: var(--border-width-1) solid ${(p) => (p.on ? "#3b82f6" : "#fff")};\n`;\nconst plain = `color: #3b82f6`;\n'
+  );
+});
+
+/* ---------------------------------------------------------------
+   PUBLIC API
+---------------------------------------------------------------- */
+
+test('requiring the module runs nothing and tokenize() works in memory', () => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(CLI)})`], {
+    encoding: 'utf8',
+  });
+  assert.deepEqual([status, stdout, stderr], [0, '', '']);
+  const css = 'body { color: #222; background: #fff; }\na { color: #3b82f6; padding: 8px; }\n';
+  const { tokensCss, rewrittenCss, manifest } = tokenize(css, { prefixSpace: 'gap' });
+  assert.ok(rewrittenCss.endsWith('\na { color: var(--color-primary); padding: var(--gap-1); }\n'));
+  assert.match(tokensCss, /^ {2}--gap-1: 0\.5rem;$/m);
+  assert.equal(manifest.spacing['--gap-1'], '8px');
+});
+
+test('outputs are only built when read', () => {
+  const result = tokenize('body{color:#111;background:#fff;padding:8px}\n');
+  const pending = (key) => typeof Object.getOwnPropertyDescriptor(result, key).get === 'function';
+  assert.ok(pending('scss') && pending('styl') && pending('rewrittenCss'));
+  assert.match(result.tokensCss, /--color-fg/);
+  assert.ok(!pending('tokensCss'));
+  assert.ok(pending('scss') && pending('styl'));
+  assert.equal(result.tokensCss, result.tokensCss);
+});
+
+test('options are checked for type, finite numbers and allowed values', () => {
+  const css = 'body{color:#111;background:#fff}\n';
+  assert.throws(() => tokenize(css, { darkMode: 'meda' }), /"darkMode" must be attribute, class, media, both or light-dark, got "meda"/);
+  assert.throws(() => tokenize(css, { format: 'xyz' }), /"format"/);
+  assert.throws(() => tokenize(css, { snap: NaN }), /"snap" must be a number/);
+  assert.throws(() => tokenize(css, { features: 'colors,color' }), /unknown feature "color"/);
+  assert.throws(() => tokenize(css, { darkmode: 'class' }), /unknown option "darkmode"/);
+  assert.ok(tokenize(css, { darkSelector: undefined, features: ['Colors'] }).tokensCss);
+});
+
+/* ---------------------------------------------------------------
+   CLI
+---------------------------------------------------------------- */
+
+test('outputs create their directories', () => {
+  const { dir, status } = cli(['app.css', '--out', 'dist/tokens.css', '--rewrite-dir', 'dist', '--manifest', 'meta/a/tokens.json']);
+  assert.equal(status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'dist/tokens.css')));
+  assert.ok(fs.existsSync(path.join(dir, 'dist/app.css')));
+  assert.ok(fs.existsSync(path.join(dir, 'meta/a/tokens.json')));
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('I/O errors print one line and exit 1', () => {
+  const { dir, status, stderr } = cli(['app.css', '--seed', 'missing.json']);
+  assert.equal(status, 1);
+  assert.match(stderr, /^[^\n]*missing\.json[^\n]*\n$/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('a seed file that is not JSON is named in the error', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenize-css-'));
+  fs.writeFileSync(path.join(dir, 'tokens.json'), '{"color":');
+  fs.writeFileSync(path.join(dir, 'app.css'), 'a{color:red}');
+  const { status, stderr } = spawnSync(process.execPath, [CLI, 'app.css', '--seed', 'tokens.json'], {
+    cwd: dir,
+    encoding: 'utf8',
+  });
+  assert.equal(status, 1);
+  assert.match(stderr, /^(?:Error: )?tokens\.json: /m);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('only one output can go to stdout', () => {
+  const { dir, status, stdout, stderr } = cli(['app.css', '--out', '-', '--rewrite', '-']);
+  assert.equal(status, 1);
+  assert.equal(stdout, '');
+  assert.match(stderr, /one output/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('bad flag and config values stop the CLI', () => {
+  for (const args of [['--snap', 'abc'], ['--merge-colors', '2px'], ['--rewrite-target', 'sass'], ['--snap']]) {
+    const { dir, status, stderr } = cli(['app.css', ...args]);
+    assert.equal(status, 1);
+    assert.match(stderr, new RegExp(`^${args[0]} (must be|needs a value)`));
+    assert.ok(!fs.existsSync(path.join(dir, 'tokens.css')));
+    fs.rmSync(dir, { recursive: true });
+  }
+  for (const [typo, message] of [['--typo', /^unknown flag --typo\n$/], ['--rewriteTarget', /did you mean --rewrite-target\?/]]) {
+    const { dir, status, stderr } = cli([typo, 'app.css']);
+    assert.equal(status, 1);
+    assert.match(stderr, message);
+    assert.ok(!fs.existsSync(path.join(dir, 'tokens.css')));
+    fs.rmSync(dir, { recursive: true });
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenize-css-'));
+  fs.writeFileSync(path.join(dir, 'tokenize-css.config.json'), '{"naming":"semantc"}');
+  const { status, stderr } = spawnSync(process.execPath, [CLI, '-'], { cwd: dir, input: 'a{color:red}', encoding: 'utf8' });
+  assert.equal(status, 1);
+  assert.match(stderr, /tokenize-css\.config\.json: "naming" must be index or semantic, got "semantc"/);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('ES module and CommonJS configs are both read', () => {
+  const configs = [
+    ['tokenize-css.config.mjs', "export default { darkMode: 'class' };\n"],
+    ['tokenize-css.config.cjs', "module.exports = { darkMode: 'class' };\n"],
+    ['tokenize-css.config.js', "export default { darkMode: 'class' };\n", '{"type":"module"}'],
+  ];
+  for (const [file, source, pkg] of configs) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenize-css-'));
+    fs.writeFileSync(path.join(dir, file), source);
+    if (pkg) fs.writeFileSync(path.join(dir, 'package.json'), pkg);
+    const { status, stdout } = spawnSync(process.execPath, [CLI, '-'], { cwd: dir, input: 'a{color:red}', encoding: 'utf8' });
+    assert.equal(status, 0, file);
+    assert.match(stdout, /\n\.dark\{/, file);
+    fs.rmSync(dir, { recursive: true });
+  }
+});
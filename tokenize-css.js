@@ -14,12 +14,27 @@
      • Emits a JSON manifest
 
    Usage:
-     node tokenize-css.js input.css
+     node tokenize-css.js input.css [more.css src/ "src/*.css" …]         // files, directories (*.css) and globs
        [--out tokens.css]
        [--rewrite style.vars.css]
+       [--rewrite-dir dist/]                 // rewrite every input into dist/, mirroring the source tree
        [--manifest tokens.json]
-       [--algorithm flip|invert]
-       [--features all|colors,spacing,borders,radius,shadows,motion,typography]
+       [--format manifest|dtcg]              // --manifest as the ad-hoc schema or W3C Design Tokens JSON
+       [--seed tokens.css|tokens.json]       // keep names from a previous tokens.css, manifest or DTCG file
+       [--out-scss _tokens.scss]             // Sass variables + maps ($space-1, $colors: (fg: …))
+       [--out-less tokens.less]              // Less variables + maps
+       [--out-styl tokens.styl]              // Stylus variables + hashes
+       [--rewrite-target css|scss|less|styl] // rewrite to $var / @var references instead of var(--x)
+       [--tailwind tailwind.tokens.js]       // Tailwind v3 theme.extend module, or a v4 @theme block for .css
+       [--out-js tokens.ts]                  // ES module: tokens.color.primary > 'var(--color-primary)', raw values, TokenName
+       [--out-android app/src/main/res]      // values/colors.xml, values-night/colors.xml, values/dimens.xml
+       [--out-compose Tokens.kt]             // Jetpack Compose Color(0xFF…) / .dp / .sp constants
+       [--out-swift Tokens.swift]            // UIColor / SwiftUI Color extensions (light + dark) and CGFloat sizes
+       [--algorithm flip|invert|tone|oklch]
+       [--dark-mode attribute]               // attribute|class|media|both|light-dark
+       [--dark-selector <selector>]          // custom selector for attribute/class/both
+       [--light-selector <selector>]         // light opt-out of the media query for both
+       [--features all|colors,spacing,borders,radius,shadows,motion,typography,breakpoints]
        [--prefix-space space]
        [--prefix-shadow shadow]
        [--prefix-duration duration]
@@ -32,17 +47,47 @@
        [--prefix-line-height lh]
        [--prefix-letter-spacing ls]
        [--prefix-font-weight fw]
+       [--prefix-breakpoint bp]              // --bp-sm, --bp-md, … from @media width queries
        [--prefix-font-family ff]
        [--selector-alias "<selectors>:<alias>[;<selectors>:<alias>]"]
        [--viewport-width 100]                // px per 100vw (default 100)
        [--viewport-height 100]               // px per 100vh (default 100)
        [--percent-base 100]                  // px per 100% (default 100)
        [--ch-width 1]                        // px per 1ch (default 1)
+       [--stable-names]                      // content-hash names instead of sequence numbers
+       [--naming index|semantic]             // semantic: --space-md, --radius-lg, --shadow-sm, --fw-bold
+       [--preserve-color-space]              // keep oklch()/lab()/color(display-p3 …) notation in tokens
+       [--palette]                           // 50–950 scales for primary/secondary/accent
+       [--merge-colors 2]                    // merge colors within a CIEDE2000 ΔE onto one token
+       [--contrast]                          // nudge dark role colors to meet the contrast target
+       [--contrast-method wcag|apca]         // WCAG 2.x ratio (default) or APCA Lc
+       [--contrast-target 4.5]               // minimum contrast (default 4.5 wcag / 60 apca)
+       [--fluid]                             // clamp() font sizes / spacing above 1rem and responsive tokens
+       [--fluid-viewport 320px,1280px]       // viewport range the fluid values grow over
+       [--fluid-ratio 0.8]                   // smallest fluid size relative to the detected one
+       [--scale]                             // name font sizes / spacing by type scale step and grid multiple
+       [--snap 0.05]                         // move sizes within 5% of a scale step onto it (implies --scale)
+       [--contrast-report report.json|md]    // WCAG AA/AAA report for real fg/bg pairs and roles
+       [--config tokenize-css.config.js]     // options file; found upwards from cwd when not given
    Notes:
      • Unit conversion runs FIRST on the loaded CSS, so tokens & rewrites reflect converted values.
      • Supported convertible units: px, rem, em, %, vh, vw, ch (others are left untouched).
      • `--context-size` is a single global fallback for `em` (no per-selector cascade resolution).
      • If `--convert-out` is provided and `--rewrite` is omitted, the converted CSS is saved to that file.
+     • Several inputs are aggregated into one token set; `--rewrite`/`--convert-out` need a single input.
+     • `-` as an input reads stdin and as an output writes stdout (status lines then go to stderr).
+       `--out` then defaults to stdout for stdin input, and is skipped when another output is `-`.
+     • .html/.vue/.svelte/.astro <style> blocks and style="" attributes, and css`` / styled.x`` literals
+       in .js/.ts files are read in place and rewritten back into the host file.
+     • Options also come from tokenize-css.config.js/.mjs/.cjs/.json or a "tokenize-css" key in package.json
+       (the nearest one upwards from cwd, or `--config`); flags win. A JS config can add functions:
+       roleScorers, nameToken and filterValue (see DEFAULT_OPTIONS).
+
+   Programmatic use:
+     const { tokenize } = require('./tokenize-css');
+     const { tokensCss, rewrittenCss, manifest, convertedCss } = tokenize(css, { convert: 'px>rem' });
+     const { tokensCss, files } = tokenizeMany([{ file: 'a.css', css: a }, { file: 'b.css', css: b }]);
+     // option keys mirror the CLI flags in camelCase (`--prefix-space` > `prefixSpace`)
 
    Examples:
      # Convert px→rem at 16px root, produce tokens, rewrite, and manifest
@@ -65,16 +110,66 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { pathToFileURL } = require('url');
 
 /* ---------------------------------------------------------------
    CORE CONSTANTS / REGEX (declared first to avoid TDZ issues)
 ---------------------------------------------------------------- */
-const COLOR_RE =
-  /#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})\b|rgba?\(\s*[^)]+\)|hsla?\(\s*[^)]+\)/g;
-const RULE_RE = /([^{}]+)\{([^}]*)\}/g; // selector { decls }
-const PROP_RE = /([-\w]+)\s*:\s*([^;]+);/g; // name: value;
+// CSS Color 4 named colors (`transparent` and `currentColor` are handled separately)
+const NAMED_COLORS = {
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+  azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+  blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+  burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+  coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+  darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1',
+  darkviolet: '#9400d3', deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969',
+  dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0',
+  forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff',
+  gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000', greenyellow: '#adff2f',
+  grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c',
+  indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2',
+  lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa',
+  lightslategray: '#778899', lightslategrey: '#778899', lightsteelblue: '#b0c4de',
+  lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+  magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd',
+  mediumorchid: '#ba55d3', mediumpurple: '#9370db', mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a', mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa', mistyrose: '#ffe4e1',
+  moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6',
+  olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500',
+  orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee',
+  palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f',
+  pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080',
+  rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1',
+  saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+  seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb',
+  slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+  springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080',
+  thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee', wheat: '#f5deb3',
+  white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32',
+};
+// hex, every CSS Color 4 function (one level of nested parens) and whole-word keywords
+const COLOR_RE = new RegExp(
+  '#(?:[0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})\\b|' +
+    '\\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\\((?:[^()]|\\([^()]*\\))*\\)|' +
+    `(?<![-\\w.#])(?:${Object.keys(NAMED_COLORS).join('|')}|transparent|currentcolor)(?![-\\w(])`,
+  'gi'
+);
+// properties where a bare keyword such as `white` really is a color
+const namedColorPropRE =
+  /^(--.+|color|background(-color|-image)?|border(-(top|right|bottom|left|block|inline)(-start|-end)?)?(-color)?|outline(-color)?|box-shadow|text-shadow|text-decoration(-color)?|text-emphasis(-color)?|column-rule(-color)?|caret-color|accent-color|fill|stroke|stop-color|flood-color|lighting-color|scrollbar-color|-webkit-text-(fill|stroke)-color)$/;
 const LENGTH_TOKEN_RE = /-?\d*\.?\d+(?:px|rem|em|%|vh|vw)\b/g;
 const lenPropsRE = /^(margin|padding|gap|column-gap|row-gap)(|-(top|right|bottom|left))$/;
+// border and outline properties that can carry a width (not the corner radii)
+const borderWidthPropRE = /^(border|outline)(?!.*-radius$)/;
 const radiusPropRE = /^border-radius$/;
 const shadowPropRE = /^box-shadow$/;
 const motionPropRE =
@@ -88,747 +183,4230 @@ const lineHeightPropRE = /^line-height$/;
 const fontWeightPropRE = /^font-weight$/;
 const letterSpacingPropRE = /^letter-spacing$/;
 
+// How seed tokens are matched to each kind: accepted DTCG `$type`s, the option
+// holding the kind's var prefix, a name hint that `dimension`/`number` tokens
+// (shared by several kinds) must match when they lack that prefix, the
+// properties where a var() use of an input variable also settles its kind,
+// and whether px/rem/em lengths compare by pixel value (`8px` = `0.5rem`)
+const SEED_KINDS = {
+  color: { types: ['color'] },
+  fontFamily: { types: ['fontFamily'], prefix: 'prefixFontFamily', hint: /font-?family/ },
+  fontSize: { types: ['dimension'], prefix: 'prefixFontSize', hint: /font-?size|text/, props: fontSizePropRE, px: true },
+  lineHeight: {
+    types: ['number', 'dimension'],
+    prefix: 'prefixLineHeight',
+    hint: /line-?height|leading/,
+    props: lineHeightPropRE,
+  },
+  fontWeight: { types: ['fontWeight', 'number'], prefix: 'prefixFontWeight', hint: /weight/, props: fontWeightPropRE },
+  letterSpacing: { types: ['dimension'], prefix: 'prefixLetterSpacing', hint: /letter|tracking/, props: letterSpacingPropRE },
+  spacing: { types: ['dimension'], prefix: 'prefixSpace', hint: /space|spacing|gap/, props: lenPropsRE, px: true },
+  borderWidth: {
+    types: ['dimension'],
+    prefix: null,
+    hint: /border/,
+    props: /^(border|outline)(-(top|right|bottom|left))?(-width)?$/,
+    px: true,
+  },
+  radius: { types: ['dimension'], prefix: null, hint: /radius|rounded/, props: radiusPropRE, px: true },
+  shadow: { types: ['shadow'], px: true },
+  duration: { types: ['duration'] },
+  ease: { types: ['cubicBezier'] },
+};
+
+// Semantic color roles picked by pickColorRoles()
+const COLOR_ROLES = [
+  '--color-fg',
+  '--color-bg',
+  '--color-primary',
+  '--color-secondary',
+  '--color-accent',
+  '--color-border',
+  '--color-surface-1',
+  '--color-surface-2',
+  '--color-outline',
+  '--color-muted',
+  '--color-disabled',
+];
+
+// Tonal scale steps generated by --palette
+const PALETTE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+const PALETTE_ROLES = ['--color-primary', '--color-secondary', '--color-accent'];
+// CIEDE2000 ΔE within which a literal snaps to a step, unless --merge-colors sets one
+const PALETTE_SNAP_DELTA_E = 2;
+
+// Role pairs (foreground, background) that must stay readable in both themes
+const CONTRAST_PAIRS = [
+  ['--color-fg', '--color-bg'],
+  ['--color-fg', '--color-surface-1'],
+  ['--color-primary', '--color-bg'],
+  ['--color-muted', '--color-surface-1'],
+];
+// passes over CONTRAST_PAIRS before giving up on pairs that keep undoing each other
+const CONTRAST_SWEEPS = 4;
+
+const NO_SEEDS = { get: () => null, names: new Set() };
+
+const ALL_FEATURES = ['colors', 'spacing', 'borders', 'radius', 'shadows', 'motion', 'typography', 'breakpoints'];
+
+/**
+ * Options understood by `tokenize()` and their defaults.
+ * Keys mirror the CLI flags in camelCase (`--prefix-space` > `prefixSpace`).
+ */
+const DEFAULT_OPTIONS = {
+  input: null, // source name (or list of names) recorded in the manifest meta; its extension picks the input adapter
+  format: 'manifest', // manifest|dtcg — shape of the `manifest` result / --manifest file
+  rewriteTarget: 'css', // css|scss|less|styl — reference syntax in rewrittenCss; preprocessor variables are light-only
+  seed: null, // tokens CSS text, parsed manifest or DTCG document whose names win over generated ones
+  algorithm: 'flip', // flip|invert|tone|oklch
+  darkMode: 'attribute', // attribute|class|media|both|light-dark
+  darkSelector: null, // overrides `:root[data-theme="dark"]` (attribute/both) or `.dark` (class)
+  lightSelector: null, // light opt-out for `both`; derived from the dark selector by swapping `dark` for `light`
+  features: 'all', // 'all', comma list or array
+  prefixSpace: 'space',
+  prefixShadow: 'shadow',
+  prefixDuration: 'duration',
+  prefixEase: 'ease',
+  prefixFontFamily: 'ff',
+  prefixFontSize: 'fs', // --fs-1, --fs-2, ...
+  prefixLineHeight: 'lh', // --lh-1, ...
+  prefixLetterSpacing: 'ls', // --ls-1, ...
+  prefixFontWeight: 'fw', // --fw-1, ...
+  prefixBreakpoint: 'bp', // --bp-sm, --bp-md, ...
+  selectorAlias: null, // "h1,h2:heading; body:body"
+  convert: null, // e.g. "px>rem,em>px"
+  rootSize: 16, // px per 1rem
+  contextSize: 16, // px per 1em (global fallback)
+  viewportWidth: 100, // px per 100vw
+  viewportHeight: 100, // px per 100vh
+  percentBase: 100, // px per 100%
+  chWidth: 1, // px per 1ch
+  palette: false, // 50–950 scales for the saturated roles; matching literals snap to the steps
+  stableNames: false, // hash-based names instead of incrementing indices
+  naming: 'index', // index|semantic (xs/sm/md/lg… by size, regular/medium/bold… for weights)
+  preserveColorSpace: false, // emit colors in their source notation instead of hex/rgba
+  mergeColors: null, // CIEDE2000 ΔE threshold for also merging near-duplicate colors (same RGBA always merges)
+  contrast: false, // nudge dark role colors until CONTRAST_PAIRS meet the target
+  contrastMethod: 'wcag', // wcag|apca
+  contrastTarget: null, // WCAG ratio or APCA Lc; defaults to 4.5 (wcag) / 60 (apca)
+  fluid: false, // clamp() font sizes and spacing between the fluidViewport widths
+  fluidViewport: null, // "320px,1280px"; defaults to 320px up to the widest breakpoint (1280px without any)
+  fluidRatio: 0.8, // smallest size of a fluid scale token, relative to the detected value
+  scale: false, // name font sizes / spacing by their step on the detected type scale / spacing grid
+  snap: null, // relative distance within which off-scale sizes move onto the nearest step (implies scale)
+  // functions, so only from a JS config or the API:
+  roleScorers: null, // { primary: (color, info, score) => number, … } replaces a role's built-in score
+  nameToken: null, // (name, { kind, value }) => new name for a generated token, or nothing to keep it
+  filterValue: null, // (literal, kind) => false leaves a literal out of the tokens and the rewrite
+};
+
+/**
+ * CLI flags that map onto `tokenize()` options.
+ * `type` drives how the raw argument is read (`boolean` flags take no value);
+ * `values` lists what an option with a fixed set of values accepts, from any source.
+ */
+const CLI_OPTIONS = [
+  { flag: '--format', key: 'format', type: 'string', values: ['manifest', 'dtcg'] },
+  { flag: '--rewrite-target', key: 'rewriteTarget', type: 'string', values: ['css', 'scss', 'less', 'styl'] },
+  { flag: '--algorithm', key: 'algorithm', type: 'string', values: ['flip', 'invert', 'tone', 'oklch'] },
+  { flag: '--dark-mode', key: 'darkMode', type: 'string', values: ['attribute', 'class', 'media', 'both', 'light-dark'] },
+  { flag: '--dark-selector', key: 'darkSelector', type: 'string' },
+  { flag: '--light-selector', key: 'lightSelector', type: 'string' },
+  { flag: '--features', key: 'features', type: 'string' },
+  { flag: '--prefix-space', key: 'prefixSpace', type: 'string' },
+  { flag: '--prefix-shadow', key: 'prefixShadow', type: 'string' },
+  { flag: '--prefix-duration', key: 'prefixDuration', type: 'string' },
+  { flag: '--prefix-ease', key: 'prefixEase', type: 'string' },
+  { flag: '--prefix-font-family', key: 'prefixFontFamily', type: 'string' },
+  { flag: '--prefix-font-size', key: 'prefixFontSize', type: 'string' },
+  { flag: '--prefix-line-height', key: 'prefixLineHeight', type: 'string' },
+  { flag: '--prefix-letter-spacing', key: 'prefixLetterSpacing', type: 'string' },
+  { flag: '--prefix-font-weight', key: 'prefixFontWeight', type: 'string' },
+  { flag: '--prefix-breakpoint', key: 'prefixBreakpoint', type: 'string' },
+  { flag: '--selector-alias', key: 'selectorAlias', type: 'string' },
+  { flag: '--convert', key: 'convert', type: 'string' },
+  { flag: '--root-size', key: 'rootSize', type: 'number' },
+  { flag: '--context-size', key: 'contextSize', type: 'number' },
+  { flag: '--viewport-width', key: 'viewportWidth', type: 'number' },
+  { flag: '--viewport-height', key: 'viewportHeight', type: 'number' },
+  { flag: '--percent-base', key: 'percentBase', type: 'number' },
+  { flag: '--ch-width', key: 'chWidth', type: 'number' },
+  { flag: '--stable-names', key: 'stableNames', type: 'boolean' },
+  { flag: '--naming', key: 'naming', type: 'string', values: ['index', 'semantic'] },
+  { flag: '--preserve-color-space', key: 'preserveColorSpace', type: 'boolean' },
+  { flag: '--palette', key: 'palette', type: 'boolean' },
+  { flag: '--merge-colors', key: 'mergeColors', type: 'number' },
+  { flag: '--contrast', key: 'contrast', type: 'boolean' },
+  { flag: '--contrast-method', key: 'contrastMethod', type: 'string', values: ['wcag', 'apca'] },
+  { flag: '--contrast-target', key: 'contrastTarget', type: 'number' },
+  { flag: '--fluid', key: 'fluid', type: 'boolean' },
+  { flag: '--fluid-viewport', key: 'fluidViewport', type: 'string' },
+  { flag: '--fluid-ratio', key: 'fluidRatio', type: 'number' },
+  { flag: '--scale', key: 'scale', type: 'boolean' },
+  { flag: '--snap', key: 'snap', type: 'number' },
+];
+
+/** CLI flags that name a file or directory (input or output) rather than set an option; each takes a value. */
+const CLI_FILE_FLAGS = [
+  '--out',
+  '--rewrite',
+  '--rewrite-dir',
+  '--manifest',
+  '--convert-out',
+  '--contrast-report',
+  '--out-scss',
+  '--out-less',
+  '--out-styl',
+  '--seed',
+  '--tailwind',
+  '--out-js',
+  '--out-android',
+  '--out-compose',
+  '--out-swift',
+  '--config',
+];
+
 /* ---------------------------------------------------------------
-   CLI
+   PUBLIC API
 ---------------------------------------------------------------- */
-const args = process.argv.slice(2);
-if (!args[0]) {
-  console.error(
-    'Usage: node tokenize-css.js input.css ' +
-      '[--out tokens.css] [--rewrite out.css] [--manifest tokens.json] ' +
-      '[--algorithm flip|invert|tone] ' +
-      '[--features all|colors,spacing,borders,radius,shadows,motion,typography] ' +
-      '[--prefix-space space] [--prefix-shadow shadow] ' +
-      '[--prefix-duration duration] [--prefix-ease ease] ' +
-      '[--prefix-font-family ff] [--prefix-font-size fs] ' +
-      '[--prefix-line-height lh] [--prefix-letter-spacing ls] [--prefix-font-weight fw] ' +
-      '[--selector-alias "<selectors>:<alias>[;<selectors>:<alias>]"] ' +
-      '[--convert "px>rem,vh>px,%>px"] [--root-size 16] [--context-size 16] ' +
-      '[--viewport-width 100] [--viewport-height 100] [--percent-base 100] [--ch-width 1] ' +
-      '[--convert-out converted.css]'
-  );
-  process.exit(1);
-}
-const inFile = args[0];
-const outFile = flag('--out', 'tokens.css');
-const rewriteFile = flag('--rewrite', null);
-const manifestFile = flag('--manifest', null);
-const algorithm = flag('--algorithm', 'flip'); // flip|invert|tone
-const featuresArg = flag('--features', 'all');
-const features =
-  featuresArg === 'all'
-    ? ['colors', 'spacing', 'borders', 'radius', 'shadows', 'motion', 'typography']
-    : featuresArg.split(',').map((s) => s.trim().toLowerCase());
-
-const PREFIX_SPACE = flag('--prefix-space', 'space');
-const PREFIX_SHADOW = flag('--prefix-shadow', 'shadow');
-const PREFIX_DURATION = flag('--prefix-duration', 'duration');
-const PREFIX_EASE = flag('--prefix-ease', 'ease');
-
-// --- Unit conversion flags ---
-const convertSpec = flag('--convert', null); // e.g. "px>rem,em>px"
-const convertOut = flag('--convert-out', null); // optional explicit output when only converting
-const ROOT_SIZE = parseFloat(flag('--root-size', '16')); // px per 1rem
-const CONTEXT_SIZE = parseFloat(flag('--context-size', '16')); // px per 1em (global fallback)
-const VIEWPORT_WIDTH = parseFloat(flag('--viewport-width', '100')); // px per 100vw
-const VIEWPORT_HEIGHT = parseFloat(flag('--viewport-height', '100')); // px per 100vh
-const PERCENT_BASE = parseFloat(flag('--percent-base', '100')); // px per 100%
-const CH_WIDTH = parseFloat(flag('--ch-width', '1')); // px per 1ch
-
-const PREFIX_FF = flag('--prefix-font-family', 'ff');
-const PREFIX_FS = flag('--prefix-font-size', 'fs'); // --fs-1, --fs-2, ...
-const PREFIX_LH = flag('--prefix-line-height', 'lh'); // --lh-1, ...
-const PREFIX_LS = flag('--prefix-letter-spacing', 'ls'); // --ls-1, ...
-const PREFIX_FW = flag('--prefix-font-weight', 'fw'); // --fw-1, ...
-
-// Selector aliases: "h1,h2:heading; body:body" -> {"h1": "heading", ...}
-const selectorAliasSpec = flag('--selector-alias', null);
-const SELECTOR_ALIASES = parseSelectorAlias(selectorAliasSpec);
-
-/**
- * Whether to produce stable hash-based names instead of incrementing indices.
- * Guarded via the `--stable-names` CLI flag.
- * @type {boolean}
- */
-const STABLE = flag('--stable-names', null) != null;
 
 /**
- * Generate a hashed CSS custom property name for a literal value.
- * Uses the first eight characters of an MD5 digest to minimise collisions.
+ * Extract design tokens from a CSS string and rewrite it to use them.
+ * Nothing is read from or written to disk; the CLI is a thin wrapper over this.
+ * When `options.input` names a markup or script file, `source` is read through
+ * its input adapter (see `extractStyles()`) and the results are that file.
  *
- * @param {*} lit Value to hash into the name.
- * @param {string} prefix Prefix to prepend to the generated variable name.
- * @returns {string} Deterministic CSS variable name.
+ * @param {string} source Raw CSS text.
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options] Options, see `DEFAULT_OPTIONS`.
+ * @returns {{tokensCss:string, rewrittenCss:string, manifest:object, convertedCss:string,
+ *   contrastReport:object, scss:string, less:string, styl:string, tailwindConfig:string,
+ *   tailwindTheme:string, tokensTs:string, tokensJs:string,
+ *   android:{colors:string, colorsNight:string, dimens:string}, compose:string, swift:string}}
+ *   Tokens stylesheet, the input rewritten with `var(...)` references (or
+ *   preprocessor variables, see `rewriteTarget`), the JSON manifest, the input
+ *   after unit conversion (unchanged when `convert` is unset), the fg/bg contrast
+ *   report (see `buildContrastReport()`), the tokens as Sass, Less and Stylus variables,
+ *   as a Tailwind v3 config module and v4 `@theme` block (see `emitTailwind()`), and as
+ *   a TypeScript / JavaScript module (see `emitTokenModule()`), and the color and size
+ *   tokens as Android resources, a Compose Kotlin file and a Swift file (see `nativeTokens()`).
+ *   Each output is built the first time it is read (see `defineLazy()`).
  */
-function litHash(lit, prefix) {
-  const h = crypto.createHash('md5').update(String(lit)).digest('hex').slice(0, 8);
-  return `--${prefix}-${h}`;
+function tokenize(source, options = {}) {
+  const file = typeof options.input === 'string' ? options.input : null; // picks the input adapter
+  const result = tokenizeMany([{ file, css: source }], options);
+  const [one] = result.files;
+  const outputs = {};
+  for (const key of Object.keys(result)) if (key !== 'files') outputs[key] = () => result[key];
+  return defineLazy({}, { ...outputs, rewrittenCss: () => one.rewrittenCss, convertedCss: () => one.convertedCss });
 }
 
 /**
- * Create a factory that returns unique CSS variable names.
- * When the `--stable-names` flag is enabled the factory hashes each literal,
- * otherwise incremental numbering is used. Collisions are resolved by
- * appending an incrementing suffix.
+ * Extract one token set from several stylesheets and rewrite each of them
+ * against it. Declarations from every source are counted together, so a color
+ * used across packages ranks by its total use.
  *
- * @param {string} prefix Prefix for all generated names.
- * @returns {(lit: any, i: number) => string} Function producing unique names.
+ * @param {{file:string|null, css:string}[]} sources Stylesheets or host files; `file` is passed
+ *   through and its extension picks the input adapter (see `extractStyles()`).
+ * @param {Partial<typeof DEFAULT_OPTIONS>} [options] Options, see `DEFAULT_OPTIONS`.
+ * @returns {object} The shared outputs of `tokenize()` (everything but `rewrittenCss`
+ *   and `convertedCss`) plus `files: {file, convertedCss, rewrittenCss}[]` in source order.
+ *   Outputs are analysed up front but only rendered when read.
  */
-function makeNameFactory(prefix) {
-  const used = new Set();
-  return (lit, i) => {
-    const name = STABLE ? litHash(lit, prefix) : `--${prefix}-${i + 1}`;
-    // guard (very unlikely): ensure no duplicates
-    let out = name,
-      n = 2;
-    while (used.has(out)) out = `${name}-${n++}`;
-    used.add(out);
-    return out;
+function tokenizeMany(sources, options = {}) {
+  const opts = resolveOptions(options);
+
+  // 1) cut out embedded CSS (see extractStyles) and run the optional unit
+  //    conversion (px<>rem<>em) before analysis, per block
+  const files = sources.map(({ file, css }) => ({
+    file,
+    source: css,
+    blocks: extractStyles(css, file).map((block) => {
+      const converted = opts.convertPairs.length ? convertCssUnits(block.css, opts.convertPairs, opts.units) : block.css;
+      return { ...block, css: converted, entries: parseEntries(converted) };
+    }),
+  }));
+
+  // 2) parse > collect > name, over every file at once
+  const entries = files.flatMap((f) => f.blocks.flatMap((block) => block.entries));
+  const declared = declaredCustomProps(entries);
+  const responsive = findResponsive(entries, opts);
+  const candidates = collectCandidates(entries, declared, responsive);
+  if (opts.filterValue) filterCandidates(candidates, opts.filterValue);
+  // variables the input already declares are pre-named tokens, ahead of any --seed file
+  // a variable another scope redeclares can't be aliased: its value differs there
+  const rescoped = rescopedCustomProps(entries, declared);
+  const inputSeeds = customPropSeeds(declared, candidates.varProps).filter((t) => !rescoped.has(t.name));
+  // a seeded tokens.css repeats last run's responsive tokens; they are not scale names
+  const responsiveNames = new Set(responsive.map((t) => t.name));
+  opts.seedTokens = [...inputSeeds, ...opts.seedTokens].filter((t) => !responsiveNames.has(t.name));
+  opts.declaredProps = new Set(inputSeeds.map((t) => t.name));
+  opts.declaredDark = darkCustomProps(entries, declared);
+  const colors = mergeColors(candidates.byColor, opts.mergeColors);
+  const tokens = {
+    ...pickColorRoles(colors.byColor, opts),
+    ...assignScaleNames(candidates, opts),
+    mergedColors: colors.merged,
+    responsive,
   };
+  for (const [lit, canonical] of colors.aliases) {
+    tokens.colorToVar.set(lit, tokens.colorToVar.get(canonical));
+  }
+  separateResponsiveNames(tokens);
+
+  if (opts.nameToken) renameTokens(tokens, opts);
+
+  tokens.fluid = fluidTokens(tokens, opts); // clamp() values with --fluid
+  keepSeedSpelling(tokens, opts);
+
+  // 3) dark palette, optionally balanced for contrast
+  tokens.darkColors = buildDarkColors(tokens, opts);
+  tokens.contrast = opts.contrast ? balanceContrast(tokens, opts) : null;
+
+  // 4) emit, on demand: most callers want two or three of these
+  return defineLazy(
+    {
+      files: files.map(({ file, source, blocks }) => {
+        const hostOpts = isStyleHost(file) ? { ...opts, rewriteTarget: 'css' } : opts; // no $vars in <style> or JS
+        return defineLazy(
+          { file },
+          {
+            convertedCss: () => spliceStyles(source, blocks, (block) => block.css),
+            rewrittenCss: () => spliceStyles(source, blocks, (block) => rewriteCss(block.css, tokens, hostOpts)),
+          }
+        );
+      }),
+    },
+    {
+      tokensCss: () => emitTokensCss(tokens, opts),
+      manifest: () => (opts.format === 'dtcg' ? buildDtcg(tokens, opts) : buildManifest(tokens, opts)),
+      contrastReport: () => buildContrastReport(entries, tokens, declared),
+      scss: () => emitPreprocessorVars(tokens, opts, 'scss'),
+      less: () => emitPreprocessorVars(tokens, opts, 'less'),
+      styl: () => emitPreprocessorVars(tokens, opts, 'styl'),
+      tailwindConfig: () => emitTailwind(tokens, opts, 3),
+      tailwindTheme: () => emitTailwind(tokens, opts, 4),
+      tokensTs: () => emitTokenModule(tokens, opts, 'ts'),
+      tokensJs: () => emitTokenModule(tokens, opts, 'js'),
+      android: () => emitAndroid(tokens, opts),
+      compose: () => emitCompose(tokens, opts),
+      swift: () => emitSwift(tokens, opts),
+    }
+  );
 }
 
 /**
- * Retrieve a command line flag's value.
+ * Add enumerable getters to `target` that build each output on first read
+ * and then keep the value. Spreading or serialising the object builds them all.
  *
- * @param {string} name Flag name to search for.
- * @param {string|null} def Default value when the flag is missing.
- * @returns {string|null} The flag value or the provided default.
+ * @param {object} target Object to extend.
+ * @param {Object<string, () => *>} builders Output name > builder.
+ * @returns {object} `target`.
  */
-function flag(name, def) {
-  const i = args.indexOf(name);
-  return i !== -1 ? args[i + 1] : def;
+function defineLazy(target, builders) {
+  for (const [key, build] of Object.entries(builders)) {
+    Object.defineProperty(target, key, {
+      enumerable: true,
+      configurable: true,
+      get() {
+        const value = build();
+        Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+        return value;
+      },
+    });
+  }
+  return target;
 }
 
-/* ---------------------------------------------------------------
-   READ (+ optional unit conversion) > PARSE (selectors/props)
----------------------------------------------------------------- */
-// 1) read
-let css = fs.readFileSync(inFile, 'utf8');
-
-// 2) optional unit conversion (px<>rem<>em) before analysis
-const convertPairs = parseConvert(convertSpec);
-if (convertPairs.length) {
-  css = convertCssUnits(css, convertPairs, {
-    rootPx: ROOT_SIZE,
-    contextPx: CONTEXT_SIZE,
-    vwPx: VIEWPORT_WIDTH,
-    vhPx: VIEWPORT_HEIGHT,
-    percentBase: PERCENT_BASE,
-    chPx: CH_WIDTH,
-  });
-  if (convertOut && !rewriteFile) {
-    fs.writeFileSync(convertOut, css, 'utf8');
-    console.log(`Converted CSS > ${path.relative(process.cwd(), convertOut)}`);
-  }
-}
-
-// 3) lightweight parse into entries
-const entries = []; // { selector, prop, value }
-let m;
-while ((m = RULE_RE.exec(css))) {
-  const selector = m[1].trim();
-  const decls = m[2];
-  let p;
-  while ((p = PROP_RE.exec(decls))) {
-    entries.push({
-      selector,
-      prop: p[1].trim().toLowerCase(),
-      value: p[2].trim(),
-    });
+/**
+ * Merge user options over the defaults and pre-parse the derived settings
+ * (feature list, conversion pairs, selector aliases, unit bases).
+ *
+ * @param {Partial<typeof DEFAULT_OPTIONS>} options User supplied options.
+ * @returns {object} Resolved options shared by every pipeline stage.
+ */
+function resolveOptions(options) {
+  validateOptions(options, 'options');
+  const o = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options)) if (value !== undefined) o[key] = value;
+  if (o.darkMode === 'both' && o.darkSelector && !o.lightSelector && !o.darkSelector.includes('dark')) {
+    // without an opt-out, an OS dark preference could never be switched back to light
+    throw new Error(
+      `darkMode both: no light opt-out can be derived from darkSelector "${o.darkSelector}"; set lightSelector (--light-selector)`
+    );
   }
+  const list = Array.isArray(o.features) ? o.features : String(o.features).split(',');
+  const features =
+    o.features === 'all' ? [...ALL_FEATURES] : list.map((s) => s.trim().toLowerCase());
+  return {
+    ...o,
+    features,
+    scale: Boolean(o.scale || o.snap != null),
+    convertPairs: parseConvert(o.convert),
+    seedTokens: o.seed ? readSeed(o.seed) : [],
+    selectorAliases: parseSelectorAlias(o.selectorAlias),
+    units: {
+      rootPx: o.rootSize,
+      contextPx: o.contextSize,
+      vwPx: o.viewportWidth,
+      vhPx: o.viewportHeight,
+      percentBase: o.percentBase,
+      chPx: o.chWidth,
+    },
+  };
 }
 
 /* ---------------------------------------------------------------
-   COLLECT CANDIDATES
+   CLI
 ---------------------------------------------------------------- */
-const byColor = new Map(); // color literal > {count, props, selectors, rgba, hsl, lum, sat}
-const byLength = new Map(); // spacing literal > {count, props}
-const byBorderWidth = new Map(); // width literal > {count}
-const byRadius = new Map(); // radius string > {count}
-const byShadow = new Map(); // full box-shadow > {count}
-const byDuration = new Map(); // '200ms'/'0.2s' > {count, ms}
-const byEase = new Map(); // easing function > {count}
-const byFontSize = new Map(); // literal -> {count}
-const byLineHeight = new Map(); // literal -> {count}
-const byFontWeight = new Map(); // literal -> {count}
-const byLetterSpacing = new Map(); // literal -> {count}
-const byFontFamily = new Map(); // literal -> {count}
-
-for (const e of entries) {
-  // colors
-  const colors = e.value.match(COLOR_RE) || [];
-  for (const c of colors) {
-    const key = c.trim();
-    if (!byColor.has(key))
-      byColor.set(key, {
-        count: 0,
-        props: new Map(),
-        selectors: [],
-        rgba: null,
-        hsl: null,
-        lum: 0,
-        sat: 0,
-      });
-    const node = byColor.get(key);
-    node.count++;
-    node.props.set(e.prop, (node.props.get(e.prop) || 0) + 1);
-    node.selectors.push(e.selector);
+
+/**
+ * Command line entry point. Errors (unreadable inputs, unwritable outputs, bad
+ * options or config) are reported on one line with exit code 1.
+ *
+ * @param {string[]} args Arguments without the node/script prefix.
+ * @returns {Promise<void>} Settles when the run is over.
+ */
+async function main(args) {
+  try {
+    await runCli(args);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
   }
+}
 
-  // font shorthand first (so counts include it even if longhands appear elsewhere)
-  if (fontShorthandRE.test(e.prop)) {
-    const parts = parseFontShorthand(e.value);
-    if (parts.fs) {
-      byFontSize.set(parts.fs, { count: (byFontSize.get(parts.fs)?.count || 0) + 1 });
-    }
-    if (parts.lh) {
-      byLineHeight.set(parts.lh, { count: (byLineHeight.get(parts.lh)?.count || 0) + 1 });
+/**
+ * Read the input files, run `tokenizeMany()` and write the requested outputs.
+ *
+ * @param {string[]} args Arguments without the node/script prefix.
+ * @returns {Promise<void>} Settles once every output is written.
+ */
+async function runCli(args) {
+  if (!inputArgs(args).length) {
+    console.error(
+      'Usage: node tokenize-css.js <input.css|dir|"glob"|->... ' +
+        '[--out tokens.css] [--rewrite out.css] [--rewrite-dir dist/] [--manifest tokens.json] ' +
+        '[--format manifest|dtcg] [--seed tokens.css|tokens.json] ' +
+        '[--out-scss _tokens.scss] [--out-less tokens.less] [--out-styl tokens.styl] ' +
+        '[--rewrite-target css|scss|less|styl] [--tailwind tailwind.tokens.js|theme.css] ' +
+        '[--out-js tokens.ts|tokens.js] ' +
+        '[--out-android res/] [--out-compose Tokens.kt] [--out-swift Tokens.swift] ' +
+        '[--algorithm flip|invert|tone|oklch] ' +
+        '[--dark-mode attribute|class|media|both|light-dark] [--dark-selector <selector>] ' +
+        '[--light-selector <selector>] ' +
+        '[--features all|colors,spacing,borders,radius,shadows,motion,typography,breakpoints] ' +
+        '[--prefix-space space] [--prefix-shadow shadow] ' +
+        '[--prefix-duration duration] [--prefix-ease ease] ' +
+        '[--prefix-font-family ff] [--prefix-font-size fs] ' +
+        '[--prefix-line-height lh] [--prefix-letter-spacing ls] [--prefix-font-weight fw] [--prefix-breakpoint bp] ' +
+        '[--selector-alias "<selectors>:<alias>[;<selectors>:<alias>]"] ' +
+        '[--convert "px>rem,vh>px,%>px"] [--root-size 16] [--context-size 16] ' +
+        '[--viewport-width 100] [--viewport-height 100] [--percent-base 100] [--ch-width 1] ' +
+        '[--convert-out converted.css] [--stable-names] [--preserve-color-space] ' +
+        '[--palette] [--merge-colors 2] [--contrast] [--contrast-method wcag|apca] [--contrast-target 4.5] ' +
+        '[--fluid] [--fluid-viewport 320px,1280px] [--fluid-ratio 0.8] ' +
+        '[--scale] [--snap 0.05] [--naming index|semantic] ' +
+        '[--contrast-report report.json|report.md] [--config tokenize-css.config.js]'
+    );
+    process.exit(1);
+  }
+  const rewriteFile = flag(args, '--rewrite', null);
+  const rewriteDir = flag(args, '--rewrite-dir', null); // one rewritten file per input, mirroring the source tree
+  const manifestFile = flag(args, '--manifest', null);
+  const convertOut = flag(args, '--convert-out', null); // optional explicit output when only converting
+  const reportFile = flag(args, '--contrast-report', null); // .md for markdown, JSON otherwise
+  const preprocessorFiles = ['scss', 'less', 'styl']
+    .map((syntax) => [syntax, flag(args, `--out-${syntax}`, null)])
+    .filter(([, file]) => file);
+  const seedFile = flag(args, '--seed', null);
+  const tailwindFile = flag(args, '--tailwind', null); // .css for a v4 @theme block, v3 config otherwise
+  const jsFile = flag(args, '--out-js', null); // .ts for TypeScript, plain ES module otherwise
+  const androidDir = flag(args, '--out-android', null); // an Android res/ directory
+  const nativeFiles = ['compose', 'swift']
+    .map((target) => [target, flag(args, `--out-${target}`, null)])
+    .filter(([, file]) => file);
+  // `-` reads stdin / writes stdout; a piped result is only joined by the tokens when --out asks for them
+  const fileOutputs = [rewriteFile, manifestFile, convertOut, reportFile, tailwindFile, jsFile]
+    .concat([...preprocessorFiles, ...nativeFiles].map(([, file]) => file));
+  const piped = fileOutputs.includes('-');
+  const outFile = flag(args, '--out', piped ? null : inputArgs(args).includes('-') ? '-' : 'tokens.css');
+  if ([outFile, ...fileOutputs].filter((file) => file === '-').length > 1) {
+    throw new Error('Only one output can be written to stdout (-); send the others to files');
+  }
+  const log = piped || outFile === '-' ? console.error : console.log; // keep stdout for the data
+  const where = (file) => (file === '-' ? 'stdout' : path.relative(process.cwd(), file) || '.');
+  const inFiles = expandInputs(inputArgs(args), rewriteDir ? [rewriteDir] : []);
+  if (!inFiles.length) {
+    console.error(`No input files match ${inputArgs(args).join(' ')}`);
+    process.exit(1);
+  }
+  if (inFiles.length > 1 && (rewriteFile || convertOut)) {
+    console.error('--rewrite and --convert-out take a single input; use --rewrite-dir for several files');
+    process.exit(1);
+  }
+  const root = commonDir(inFiles);
+  const relFiles = inFiles.map((file) =>
+    file === '-' ? 'stdin' : path.relative(root, path.resolve(file)).split(path.sep).join('/')
+  );
+  const configFile = flag(args, '--config', null) || findConfig(process.cwd());
+  const config = configFile ? await loadConfig(configFile) : {};
+  const options = {
+    ...config,
+    ...parseCliOptions(args), // flags win over the config
+    input: inFiles.length === 1 ? path.basename(relFiles[0]) : relFiles,
+  };
+  if (seedFile) options.seed = readSeedFile(seedFile); // tokens CSS, manifest or DTCG
+
+  const sources = inFiles.map((file, i) => ({
+    file: relFiles[i],
+    css: fs.readFileSync(file === '-' ? 0 : file, 'utf8'), // fd 0 is stdin
+  }));
+  const result = tokenizeMany(sources, options); // outputs are built as they are read below
+  const { manifest } = result;
+
+  if (convertOut && !rewriteFile && parseConvert(options.convert).length) {
+    writeOutput(convertOut, result.files[0].convertedCss);
+    log(`Converted CSS > ${where(convertOut)}`);
+  }
+
+  if (outFile) writeOutput(outFile, result.tokensCss);
+
+  for (const [syntax, file] of preprocessorFiles) {
+    writeOutput(file, result[syntax]);
+  }
+
+  if (tailwindFile) {
+    const tailwind = /\.css$/i.test(tailwindFile) ? result.tailwindTheme : result.tailwindConfig;
+    writeOutput(tailwindFile, tailwind);
+  }
+
+  if (jsFile) {
+    writeOutput(jsFile, /\.[cm]?ts$/i.test(jsFile) ? result.tokensTs : result.tokensJs);
+  }
+
+  if (androidDir) {
+    const { colors, colorsNight, dimens } = result.android;
+    for (const [dir, file, xml] of [
+      ['values', 'colors.xml', colors],
+      ['values-night', 'colors.xml', colorsNight],
+      ['values', 'dimens.xml', dimens],
+    ]) {
+      fs.mkdirSync(path.join(androidDir, dir), { recursive: true });
+      fs.writeFileSync(path.join(androidDir, dir, file), xml, 'utf8');
     }
-    if (parts.fw) {
-      byFontWeight.set(parts.fw, { count: (byFontWeight.get(parts.fw)?.count || 0) + 1 });
+  }
+
+  for (const [target, file] of nativeFiles) {
+    writeOutput(file, result[target]);
+  }
+
+  if (rewriteFile) {
+    const target = options.rewriteTarget;
+    let finalCss = result.files[0].rewrittenCss;
+    // a tokens block can't be prepended to markup or JS; on stdout the rewrite stands alone
+    if (!isStyleHost(inFiles[0]) && rewriteFile !== '-') {
+      const header = result[target] || result.tokensCss; // $var / @var references need the variables in scope
+      finalCss = `/* Generated tokens */\n${header}\n/* Original CSS with replacements */\n${finalCss}`;
     }
+    writeOutput(rewriteFile, finalCss);
   }
 
-  // typography
-  if (fontFamilyPropRE.test(e.prop)) {
-    const lit = normalizeFontFamilyList(e.value);
-    if (!isCssWideKeyword(lit)) {
-      if (!byFontFamily.has(lit)) byFontFamily.set(lit, { count: 0, selectors: [] });
-      const node = byFontFamily.get(lit);
-      node.count++;
-      node.selectors.push(e.selector);
+  if (rewriteDir) {
+    writeRewriteDir(rewriteDir, result, options.rewriteTarget || 'css', preprocessorFiles);
+  }
+
+  if (manifestFile) {
+    writeOutput(manifestFile, JSON.stringify(manifest, null, 2));
+  }
+
+  if (reportFile) {
+    const report = /\.md$/i.test(reportFile)
+      ? contrastReportToMarkdown(result.contrastReport)
+      : JSON.stringify(result.contrastReport, null, 2);
+    writeOutput(reportFile, report);
+  }
+
+  if (outFile) log(`Tokens > ${where(outFile)}`);
+  if (rewriteFile) log(`Rewritten CSS > ${where(rewriteFile)}`);
+  if (rewriteDir) {
+    log(`Rewritten CSS > ${where(rewriteDir)} (${inFiles.length} files)`);
+  }
+  if (manifestFile) log(`Manifest > ${where(manifestFile)}`);
+  if (reportFile) log(`Contrast report > ${where(reportFile)}`);
+  if (tailwindFile) log(`Tailwind > ${where(tailwindFile)}`);
+  if (jsFile) log(`Token module > ${where(jsFile)}`);
+  if (androidDir) log(`Android resources > ${where(androidDir)}`);
+  for (const [target, file] of nativeFiles) {
+    log(`${target === 'swift' ? 'Swift' : 'Compose'} > ${where(file)}`);
+  }
+  for (const [syntax, file] of preprocessorFiles) {
+    log(`${syntax.toUpperCase()} > ${where(file)}`);
+  }
+  if (manifest.scale) {
+    const { fontSizes: type, spacing: grid } = manifest.scale;
+    if (type) log(`Type scale: ${type.name} (${type.ratio}) from ${type.base}`);
+    else if (Object.keys(manifest.typography.fontSizes || {}).length) {
+      log('Type scale: none found, font sizes keep frequency names');
+    }
+    for (const [lit, name] of Object.entries(type ? type.snapped : {})) {
+      log(`Snapped ${lit} > ${name} (${manifest.typography.fontSizes[name]})`);
+    }
+    if (grid) log(`Spacing grid: ${grid.grid}`);
+    else if (Object.keys(manifest.spacing).length) {
+      log('Spacing grid: none found, spacing keeps frequency names');
+    }
+    for (const [lit, name] of Object.entries(grid ? grid.snapped : {})) {
+      log(`Snapped ${lit} > ${name} (${manifest.spacing[name]})`);
     }
   }
+  for (const p of manifest.contrast ? manifest.contrast.failures : []) {
+    console.warn(`Contrast: ${p.fg} on ${p.bg} below ${manifest.contrast.target} (light ${p.light}, dark ${p.dark})`);
+  }
+}
 
-  // also consume family from font shorthand
-  if (fontShorthandRE.test(e.prop)) {
-    const sh = parseFontShorthandWithFamily(e.value);
-    if (sh.family) {
-      const fam = normalizeFontFamilyList(sh.family);
-      if (!isCssWideKeyword(fam)) {
-        if (!byFontFamily.has(fam)) byFontFamily.set(fam, { count: 0, selectors: [] });
-        const node = byFontFamily.get(fam);
-        node.count++;
-        node.selectors.push(e.selector);
-      }
+/**
+ * Read the `tokenize()` options present on the command line.
+ * Flags that are absent are left out so the defaults apply.
+ *
+ * @param {string[]} args Raw CLI arguments.
+ * @returns {Partial<typeof DEFAULT_OPTIONS>} Options object.
+ */
+function parseCliOptions(args) {
+  const options = {};
+  for (const { flag: name, key, type } of CLI_OPTIONS) {
+    if (!args.includes(name)) continue;
+    if (type === 'boolean') {
+      options[key] = true;
+      continue;
     }
+    const raw = flag(args, name, null);
+    if (raw === undefined || raw.startsWith('--')) throw new Error(`${name} needs a value`);
+    // a number is the whole argument; anything else stays a string and fails validation
+    options[key] = type === 'number' && raw.trim() && Number.isFinite(Number(raw)) ? Number(raw) : raw;
   }
+  const flagOf = new Map(CLI_OPTIONS.map((o) => [o.key, o.flag]));
+  validateOptions(options, null, (key) => flagOf.get(key));
+  return options;
+}
+
+/** Config file names looked for in each directory, in order; then a `package.json` key. */
+const CONFIG_FILES = ['tokenize-css.config.js', 'tokenize-css.config.mjs', 'tokenize-css.config.cjs', 'tokenize-css.config.json'];
+const CONFIG_PACKAGE_KEY = 'tokenize-css';
+/** Options only a config (or the API) can set, and the type of their value. */
+const CONFIG_ONLY_OPTIONS = { roleScorers: 'object', nameToken: 'function', filterValue: 'function' };
 
-  if (fontSizePropRE.test(e.prop)) {
-    const lit = e.value.trim();
-    if (!byFontSize.has(lit)) byFontSize.set(lit, { count: 0 });
-    byFontSize.get(lit).count++;
+/**
+ * Find the nearest config from `dir` upwards: `tokenize-css.config.js`
+ * (`.mjs`, `.cjs`), `tokenize-css.config.json` or a `package.json` with a
+ * `"tokenize-css"` key.
+ *
+ * @param {string} dir Directory to start in.
+ * @returns {string|null} Config (or package.json) path, null when there is none.
+ */
+function findConfig(dir) {
+  for (let d = path.resolve(dir); ; d = path.dirname(d)) {
+    const file = CONFIG_FILES.map((name) => path.join(d, name)).find((f) => fs.existsSync(f));
+    if (file) return file;
+    const pkg = path.join(d, 'package.json');
+    if (fs.existsSync(pkg) && readJson(pkg)[CONFIG_PACKAGE_KEY] !== undefined) return pkg;
+    if (path.dirname(d) === d) return null;
   }
-  if (lineHeightPropRE.test(e.prop)) {
-    const lit = e.value.trim();
-    if (!byLineHeight.has(lit)) byLineHeight.set(lit, { count: 0 });
-    byLineHeight.get(lit).count++;
+}
+
+/**
+ * Load and validate a config file. A `.js`, `.mjs` or `.cjs` config is
+ * imported, as an ES module or CommonJS like Node would, and may hold
+ * functions; its default export (`module.exports`) is the options. JSON
+ * configs and the `package.json` key hold plain values. `seed` is a tokens
+ * file path relative to the config, read like `--seed`.
+ *
+ * @param {string} file Config path.
+ * @returns {Promise<Partial<typeof DEFAULT_OPTIONS>>} Options to put under the command line ones.
+ * @throws {Error} When the file can't be read, or has unknown keys or values of the wrong type.
+ */
+async function loadConfig(file) {
+  const name = path.relative(process.cwd(), file) || file;
+  let config;
+  if (/\.[cm]?js$/i.test(file)) {
+    try {
+      config = (await import(pathToFileURL(path.resolve(file)).href)).default;
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  } else {
+    config = readJson(file);
+    if (path.basename(file) === 'package.json') config = config[CONFIG_PACKAGE_KEY];
   }
-  if (fontWeightPropRE.test(e.prop)) {
-    const lit = e.value.trim();
-    if (!byFontWeight.has(lit)) byFontWeight.set(lit, { count: 0 });
-    byFontWeight.get(lit).count++;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${name}: expected an object of options`);
   }
-  if (letterSpacingPropRE.test(e.prop)) {
-    const lit = e.value.trim();
-    if (!byLetterSpacing.has(lit)) byLetterSpacing.set(lit, { count: 0 });
-    byLetterSpacing.get(lit).count++;
+  validateConfig(config, name);
+  const options = { ...config };
+  if (typeof options.seed === 'string') {
+    options.seed = readSeedFile(path.resolve(path.dirname(file), options.seed));
   }
+  return options;
+}
 
-  // spacing
-  if (lenPropsRE.test(e.prop)) {
-    extractLengths(e.value).forEach((len) => {
-      if (!byLength.has(len)) byLength.set(len, { count: 0, props: new Map() });
-      const node = byLength.get(len);
-      node.count++;
-      node.props.set(e.prop, (node.props.get(e.prop) || 0) + 1);
-    });
+/**
+ * Check a config file's options: `seed` is a path there, `input` comes from
+ * the command line, and everything else is checked like any other options
+ * (see `validateOptions()`).
+ *
+ * @param {object} config Parsed config.
+ * @param {string} where File name for the error message.
+ * @returns {void}
+ * @throws {Error} On the first unknown key or bad value.
+ */
+function validateConfig(config, where) {
+  if ('input' in config) throw new Error(`${where}: unknown option "input"`);
+  if (config.seed != null && typeof config.seed !== 'string') {
+    throw new Error(`${where}: "seed" must be a path to a tokens file`);
   }
+  validateOptions(config, where);
+}
 
-  // border widths (from border/outline shorthands)
-  if (/^border/.test(e.prop) || /^outline/.test(e.prop)) {
-    const width = extractBorderWidth(e.value);
-    if (width) {
-      if (!byBorderWidth.has(width)) byBorderWidth.set(width, { count: 0 });
-      byBorderWidth.get(width).count++;
+/**
+ * Check option keys against `DEFAULT_OPTIONS` and values against the type of
+ * their CLI flag (`features` also takes an array, `seed` tokens text or a
+ * parsed document, `input` a list, and the config-only options functions).
+ * Numbers must be finite, and options with `values` in `CLI_OPTIONS` (and
+ * `features`) one of those. `tokenize()`, config files and the command line
+ * all go through here.
+ *
+ * @param {object} options Options to check; `undefined` values count as unset.
+ * @param {string|null} where Source for the error message (a file name, `options`), if any.
+ * @param {(key: string) => string} [label] How an option is named in the message.
+ * @returns {void}
+ * @throws {Error} On the first unknown key or bad value.
+ */
+function validateOptions(options, where, label = (key) => `"${key}"`) {
+  const fail = (message) => {
+    throw new Error(where ? `${where}: ${message}` : message);
+  };
+  const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+  const a = (type) => `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`;
+  const shown = (v) => (typeof v === 'string' ? JSON.stringify(v) : ['number', 'null'].includes(typeOf(v)) ? v : a(typeOf(v)));
+  const flags = new Map(CLI_OPTIONS.map((o) => [o.key, o]));
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in DEFAULT_OPTIONS)) {
+      const cli = CLI_OPTIONS.find((o) => o.flag === `--${key.replace(/^-+/, '')}`);
+      fail(`unknown option "${key}"${cli ? ` (did you mean "${cli.key}"?)` : ''}`);
+    }
+    if (value === undefined || (value === null && DEFAULT_OPTIONS[key] === null)) continue;
+    const expected =
+      key === 'seed'
+        ? ['string', 'object']
+        : key === 'features' || key === 'input'
+          ? ['string', 'array']
+          : [CONFIG_ONLY_OPTIONS[key] || flags.get(key).type];
+    const actual = typeOf(value);
+    if (!expected.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+      const hint = CONFIG_ONLY_OPTIONS[key] && /\.json$/i.test(where || '') ? ' (functions need a JS config)' : '';
+      fail(`${label(key)} must be ${expected.map(a).join(' or ')}, got ${shown(value)}${hint}`);
     }
+    const allowed = flags.get(key) && flags.get(key).values;
+    if (allowed && !allowed.includes(value)) {
+      fail(`${label(key)} must be ${allowed.slice(0, -1).join(', ')} or ${allowed[allowed.length - 1]}, got ${shown(value)}`);
+    }
+  }
+  const features = options.features == null || options.features === 'all' ? [] : [options.features].flat();
+  for (const f of features.flatMap((f) => (typeof f === 'string' ? f.split(',') : [f]))) {
+    if (typeof f !== 'string') fail(`${label('features')} must only list strings`);
+    if (!ALL_FEATURES.includes(f.trim().toLowerCase())) {
+      fail(`${label('features')}: unknown feature ${shown(f.trim())} (all, or any of ${ALL_FEATURES.join(', ')})`);
+    }
+  }
+  const roles = COLOR_ROLES.map((r) => r.replace('--color-', ''));
+  for (const [role, fn] of Object.entries(options.roleScorers || {})) {
+    if (!roles.includes(role)) fail(`roleScorers: unknown role "${role}" (one of ${roles.join(', ')})`);
+    if (typeof fn !== 'function') fail(`roleScorers.${role} must be a function, got ${typeOf(fn)}`);
   }
+}
 
-  // radius
-  if (radiusPropRE.test(e.prop)) {
-    const lit = normalizeRadius(e.value);
-    if (!byRadius.has(lit)) byRadius.set(lit, { count: 0 });
-    byRadius.get(lit).count++;
+/**
+ * Read a JSON file, naming the file in parse errors.
+ *
+ * @param {string} file JSON path.
+ * @returns {*} Parsed value.
+ * @throws {Error} When the file is missing or not valid JSON.
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`${path.relative(process.cwd(), file) || file}: ${err.message}`);
   }
+}
+
+/**
+ * Read a `--seed` file: tokens CSS as text, a manifest or DTCG document parsed.
+ *
+ * @param {string} file Seed path.
+ * @returns {string|object} Value for the `seed` option.
+ */
+function readSeedFile(file) {
+  return /\.css$/i.test(file) ? fs.readFileSync(file, 'utf8') : readJson(file);
+}
+
+/**
+ * Retrieve a command line flag's value.
+ *
+ * @param {string[]} args Raw CLI arguments.
+ * @param {string} name Flag name to search for.
+ * @param {string|null} def Default value when the flag is missing.
+ * @returns {string|null} The flag value or the provided default.
+ */
+function flag(args, name, def) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : def;
+}
 
-  // shadows
-  if (shadowPropRE.test(e.prop)) {
-    const cleaned = e.value.replace(/\s+/g, ' ').trim();
-    if (!byShadow.has(cleaned)) byShadow.set(cleaned, { count: 0 });
-    byShadow.get(cleaned).count++;
+/**
+ * Write an output file, creating its directory, or stdout for `-`.
+ *
+ * @param {string} file Output path or `-`.
+ * @param {string} text Contents.
+ * @returns {void}
+ */
+function writeOutput(file, text) {
+  if (file === '-') {
+    process.stdout.write(text);
+    return;
   }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text, 'utf8');
+}
 
-  // motion
-  if (motionPropRE.test(e.prop)) {
-    extractDurations(e.value).forEach((d) => {
-      if (!byDuration.has(d.str)) byDuration.set(d.str, { count: 0, ms: d.ms });
-      byDuration.get(d.str).count++;
-    });
-    extractEasings(e.value).forEach((fn) => {
-      if (!byEase.has(fn)) byEase.set(fn, { count: 0 });
-      byEase.get(fn).count++;
-    });
+/**
+ * Positional (input) arguments: everything that is neither a flag nor a flag's value.
+ * Unknown flags are an error, since there is no telling whether they take a value.
+ *
+ * @param {string[]} args Raw CLI arguments.
+ * @returns {string[]} Input paths, directories and glob patterns in order.
+ * @throws {Error} On a flag that is neither in `CLI_OPTIONS` nor in `CLI_FILE_FLAGS`.
+ */
+function inputArgs(args) {
+  const booleans = new Set(CLI_OPTIONS.filter((o) => o.type === 'boolean').map((o) => o.flag));
+  const known = new Set([...CLI_OPTIONS.map((o) => o.flag), ...CLI_FILE_FLAGS]);
+  const inputs = [];
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) inputs.push(args[i]);
+    else if (!known.has(args[i])) {
+      const cli = CLI_OPTIONS.find((o) => o.key === args[i].slice(2));
+      throw new Error(`unknown flag ${args[i]}${cli ? ` (did you mean ${cli.flag}?)` : ''}`);
+    } else if (!booleans.has(args[i])) i++; // skip the flag's value
   }
+  return inputs;
 }
 
-/* ---------------------------------------------------------------
-   COLOR SEMANTICS
----------------------------------------------------------------- */
-const palette = [...byColor.keys()];
-for (const k of palette) {
-  const n = byColor.get(k);
-  n.rgba = toRgba(k);
-  const hsl = rgbaToHsl(n.rgba);
-  n.hsl = hsl;
-  n.sat = hsl.s;
-  n.lum = relLuminance(n.rgba);
-}
-
-const roles = {};
-const used = new Set();
-const isGrayish = (c) => byColor.get(c).sat <= 0.1;
-const isSaturated = (c) => byColor.get(c).sat >= 0.22;
-const lum = (c) => byColor.get(c).lum;
-const count = (c) => byColor.get(c).count;
-const usedInProp = (c, name) => byColor.get(c).props.has(name);
-const usedInSelector = (c, test) => {
-  const sels = byColor.get(c).selectors;
-  if (typeof test === 'string') {
-    return sels.some((s) => {
-      if (selectorAliasesFor(s).has(test)) return true;
-      const re = new RegExp(`\\b${escRE(test)}\\b`);
-      return re.test(s);
-    });
+/**
+ * Resolve input arguments to a list of stylesheet paths.
+ * Directories are walked for `*.css` and markup files with `<style>` blocks
+ * (scripts only when named or matched by a glob); glob patterns (`*`, `**`, `?`, `{a,b}`, `[…]`)
+ * are matched from their static base directory. `node_modules` and dot
+ * directories are never entered. Duplicates are dropped, order is kept.
+ *
+ * @param {string[]} patterns Paths, directories or glob patterns.
+ * @param {string[]} [exclude] Directories whose files are skipped (e.g. the rewrite output).
+ * @returns {string[]} Matched file paths.
+ */
+function expandInputs(patterns, exclude = []) {
+  const skip = exclude.map((dir) => path.resolve(dir) + path.sep);
+  const seen = new Set();
+  const files = [];
+  const add = (file) => {
+    const abs = path.resolve(file);
+    if (seen.has(abs) || skip.some((dir) => abs.startsWith(dir))) return;
+    seen.add(abs);
+    files.push(file);
+  };
+  for (const pattern of patterns) {
+    if (/[*?[{]/.test(pattern)) {
+      const parts = pattern.split(/[\\/]/);
+      const glob = parts.findIndex((part) => /[*?[{]/.test(part));
+      const base = parts.slice(0, glob).join('/') || '.';
+      const re = globToRegExp(parts.slice(glob).join('/'));
+      for (const file of walkFiles(base)) {
+        if (re.test(path.relative(base, file).split(path.sep).join('/'))) add(file);
+      }
+    } else if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      for (const file of walkFiles(pattern)) if (/\.css$/i.test(file) || MARKUP_FILE.test(file)) add(file);
+    } else {
+      add(pattern);
+    }
   }
-  return sels.some((s) => test.test(s));
-};
-const distinct = (a, b) => (a && b ? hslDist(byColor.get(a).hsl, byColor.get(b).hsl) > 0.18 : true);
+  return files;
+}
 
-roles['--color-fg'] =
-  pickBest(
-    palette.filter((c) => isGrayish(c)),
-    (c) => {
-      let s = 0;
-      s += (1 - lum(c)) * 2.0;
-      s += Math.log1p(count(c)) * 0.4;
-      if (usedInProp(c, 'color')) s += 1.0;
-      if (usedInSelector(c, 'body')) s += 2.0;
-      return s;
+/**
+ * List the files below a directory, sorted, skipping `node_modules` and dot directories.
+ *
+ * @param {string} dir Directory to walk.
+ * @returns {string[]} File paths joined onto `dir`.
+ */
+function walkFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const out = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) out.push(...walkFiles(full));
+    } else if (entry.isFile()) {
+      out.push(full);
     }
-  ) || pickBest(palette, (c) => 1 - lum(c) + Math.log1p(count(c)) * 0.3);
-
-roles['--color-bg'] = pickBest(
-  palette,
-  (c) => {
-    let s = 0;
-    s += lum(c) * 2.0;
-    s += Math.log1p(count(c)) * 0.3;
-    if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.7;
-    if (usedInSelector(c, 'body')) s += 2.0;
-    return s;
-  },
-  used
-);
+  }
+  return out;
+}
 
-roles['--color-primary'] = pickBest(
-  palette.filter((c) => isSaturated(c)),
-  (c) => {
-    let s = 0;
-    s += byColor.get(c).sat * 2.0;
-    s += Math.log1p(count(c)) * 0.4;
-    if (usedInSelector(c, /\ba\b|button|\.button|:hover/i)) s += 1.5;
-    if (
-      usedInProp(c, 'color') ||
-      usedInProp(c, 'background') ||
-      usedInProp(c, 'border') ||
-      usedInProp(c, 'border-color')
-    )
-      s += 0.7;
-    const L = lum(c);
-    s += L > 0.2 && L < 0.9 ? 0.3 : -0.2;
-    return s;
-  },
-  used
-);
+/**
+ * Compile a glob pattern to a regular expression over `/`-separated relative paths.
+ *
+ * @param {string} glob Pattern such as `src/**\/*.css` or `{a,b}/*.css`.
+ * @returns {RegExp} Anchored expression.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      const slash = glob[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else if (ch === '{') {
+      re += '(?:';
+      braces++;
+    } else if (ch === '}' && braces) {
+      re += ')';
+      braces--;
+    } else if (ch === ',' && braces) re += '|';
+    else if (ch === '[' || ch === ']') re += ch;
+    else re += ch.replace(/[.+^$()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
 
-roles['--color-secondary'] = pickBest(
-  palette.filter((c) => isSaturated(c) && distinct(c, roles['--color-primary'])),
-  (c) => byColor.get(c).sat + Math.log1p(count(c)) * 0.3,
-  used
-);
+/**
+ * Deepest directory containing every given file.
+ *
+ * @param {string[]} files File paths.
+ * @returns {string} Absolute directory path.
+ */
+function commonDir(files) {
+  const dirs = files.map((file) => path.dirname(path.resolve(file)).split(path.sep));
+  const common = dirs[0].slice();
+  for (const dir of dirs.slice(1)) {
+    let i = 0;
+    while (i < common.length && common[i] === dir[i]) i++;
+    common.length = i;
+  }
+  return common.join(path.sep) || path.sep;
+}
 
-roles['--color-accent'] = pickBest(
-  palette.filter(
-    (c) =>
-      isSaturated(c) &&
-      distinct(c, roles['--color-primary']) &&
-      distinct(c, roles['--color-secondary'])
-  ),
-  (c) => byColor.get(c).sat + Math.log1p(count(c)) * 0.25,
-  used
-);
+/**
+ * Write every rewritten source below `dir`, mirroring the input tree.
+ * Plain CSS files reference the shared tokens file's custom properties and
+ * get no header. Preprocessor targets need their variables in scope, so each
+ * file imports the shared variables file (`--out-scss` etc., or a
+ * `_tokens.scss` / `tokens.less` / `tokens.styl` written into `dir`).
+ *
+ * @param {string} dir Output directory.
+ * @param {object} result `tokenizeMany()` result.
+ * @param {string} target Rewrite target (css|scss|less|styl).
+ * @param {[string, string][]} preprocessorFiles `[syntax, file]` pairs from the `--out-*` flags.
+ * @returns {void}
+ */
+function writeRewriteDir(dir, result, target, preprocessorFiles) {
+  let varsFile = null;
+  if (target !== 'css') {
+    const given = preprocessorFiles.find(([syntax, file]) => syntax === target && file !== '-');
+    varsFile = given ? given[1] : path.join(dir, target === 'scss' ? '_tokens.scss' : `tokens.${target}`);
+    if (!given) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(varsFile, result[target], 'utf8');
+    }
+  }
+  for (const { file, rewrittenCss } of result.files) {
+    if (isStyleHost(file)) {
+      // markup and CSS-in-JS keep their name and always use var() references
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), rewrittenCss, 'utf8');
+      continue;
+    }
+    const outPath = path.join(dir, target === 'css' ? file : file.replace(/\.css$/i, '') + `.${target}`);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    let header = '';
+    if (varsFile) {
+      let rel = path.relative(path.dirname(outPath), varsFile).split(path.sep).join('/');
+      if (!rel.startsWith('.')) rel = `./${rel}`;
+      if (target === 'scss') header = `@use '${rel.replace(/(^|\/)_([^/]*)$/, '$1$2').replace(/\.scss$/, '')}' as *;\n\n`;
+      else if (target === 'less') header = `@import (reference) '${rel}';\n\n`;
+      else header = `@import '${rel}'\n\n`;
+    }
+    fs.writeFileSync(outPath, header + rewrittenCss, 'utf8');
+  }
+}
 
-roles['--color-border'] = pickBest(
-  palette.filter((c) => isGrayish(c)),
-  (c) => {
-    let s = 0;
-    s += (1 - Math.abs(lum(c) - 0.88)) * 1.5;
-    if (usedInProp(c, 'border') || usedInProp(c, 'border-color')) s += 1.0;
-    s += Math.log1p(count(c)) * 0.2;
-    return s;
-  },
-  used
-);
+/**
+ * Generate a hashed CSS custom property name for a literal value.
+ * Uses the first eight characters of an MD5 digest to minimise collisions.
+ *
+ * @param {*} lit Value to hash into the name.
+ * @param {string} prefix Prefix to prepend to the generated variable name.
+ * @returns {string} Deterministic CSS variable name.
+ */
+function litHash(lit, prefix) {
+  const h = crypto.createHash('md5').update(String(lit)).digest('hex').slice(0, 8);
+  return `--${prefix}-${h}`;
+}
 
-roles['--color-surface-1'] = pickBest(
-  palette.filter((c) => isGrayish(c)),
-  (c) => {
-    let s = 0;
-    s += (1 - Math.abs(lum(c) - 0.96)) * 1.4;
-    if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.6;
-    s += Math.log1p(count(c)) * 0.2;
-    return s;
-  },
-  used
-);
+/**
+ * Create a function that reserves variable names, appending `-2`, `-3`, … to
+ * a name that is already taken.
+ *
+ * @param {Iterable<string>} [taken] Names that are already in use.
+ * @returns {(name:string)=>string} Reserves and returns a free variant of `name`.
+ */
+function nameClaimer(taken = []) {
+  const used = new Set(taken);
+  return (name) => {
+    let out = name,
+      n = 2;
+    while (used.has(out)) out = `${name}-${n++}`;
+    used.add(out);
+    return out;
+  };
+}
 
-roles['--color-surface-2'] = pickBest(
-  palette.filter((c) => isGrayish(c)),
-  (c) => {
-    let s = 0;
-    s += (1 - Math.abs(lum(c) - 0.9)) * 1.2;
-    if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.5;
-    s += Math.log1p(count(c)) * 0.2;
-    return s;
-  },
-  used
-);
+/**
+ * Create a factory that returns unique CSS variable names.
+ * When `stable` is set (the `--stable-names` flag) the factory hashes each
+ * literal, otherwise incremental numbering is used. Literals found in `seeds`
+ * keep their seed name and do not use up a number; numbers already taken by
+ * seed names are skipped. Hash collisions are resolved by appending an
+ * incrementing suffix.
+ *
+ * @param {string} prefix Prefix for all generated names.
+ * @param {boolean} [stable=false] Produce content-hash names.
+ * @param {{get:(lit:string)=>string|null, names:Set<string>}} [seeds] Seed names (see `seedsFor()`).
+ * @returns {(lit: any, i: number) => string} Function producing unique names.
+ */
+function makeNameFactory(prefix, stable = false, seeds = NO_SEEDS) {
+  const used = new Set(seeds.names);
+  let offset = 0; // seeded literals don't use up a number, seed-taken numbers are skipped
+  return (lit, i) => {
+    const pinned = seeds.get(lit);
+    if (pinned) {
+      offset--;
+      return pinned;
+    }
+    while (!stable && used.has(`--${prefix}-${i + 1 + offset}`)) offset++;
+    const name = stable ? litHash(lit, prefix) : `--${prefix}-${i + 1 + offset}`;
+    // guard (very unlikely): ensure no duplicates
+    let out = name,
+      n = 2;
+    while (used.has(out)) out = `${name}-${n++}`;
+    used.add(out);
+    return out;
+  };
+}
+
+/* ---------------------------------------------------------------
+   CSS SYNTAX: TOKENIZER > RULE TREE > ENTRIES
+   A compact CSS Syntax Level 3 tokenizer plus a forgiving parser that
+   understands at-rules, native nesting, comments, strings and url().
+   Every node keeps its source offsets so rewrites can splice in place.
+---------------------------------------------------------------- */
+
+// at-rules whose blocks hold descriptors, not properties (never tokenized)
+const DESCRIPTOR_AT_RULES =
+  /^(font-face|page|property|counter-style|font-feature-values|font-palette-values|view-transition)$/i;
+
+/**
+ * Split CSS source into tokens following CSS Syntax Level 3 (§4).
+ * Comments are kept as `comment` tokens so offsets stay exact.
+ * `value` holds the name for ident/function/at-keyword/hash tokens and the
+ * raw text otherwise; dimensions also carry their `unit`.
+ *
+ * @param {string} src CSS source.
+ * @returns {Array<{type:string, value:string, start:number, end:number, unit?:string}>} Tokens.
+ */
+function lexCss(src) {
+  const tokens = [];
+  const len = src.length;
+  let i = 0;
+  const code = (k) => (k < len ? src.charCodeAt(k) : -1);
+  const isDigit = (c) => c >= 48 && c <= 57;
+  const isHex = (c) => isDigit(c) || (c >= 65 && c <= 70) || (c >= 97 && c <= 102);
+  const isNameStart = (c) =>
+    (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95 || c >= 0x80;
+  const isName = (c) => isNameStart(c) || isDigit(c) || c === 45;
+  const isNewline = (c) => c === 10 || c === 13 || c === 12;
+  const isWs = (c) => c === 32 || c === 9 || isNewline(c);
+  const isEscape = (k) => code(k) === 92 && !isNewline(code(k + 1)) && code(k + 1) !== -1;
+  const startsIdent = (k) => {
+    const c = code(k);
+    if (c === 45) return isNameStart(code(k + 1)) || code(k + 1) === 45 || isEscape(k + 1);
+    return isNameStart(c) || isEscape(k);
+  };
+  const startsNumber = (k) => {
+    if (code(k) === 43 || code(k) === 45) k++;
+    return isDigit(code(k)) || (code(k) === 46 && isDigit(code(k + 1)));
+  };
+  const consumeEscape = () => {
+    i++; // backslash
+    if (isHex(code(i))) {
+      for (let n = 0; n < 6 && isHex(code(i)); n++) i++;
+      if (code(i) === 13 && code(i + 1) === 10) i += 2;
+      else if (isWs(code(i))) i++;
+    } else if (i < len) i++;
+  };
+  const consumeName = () => {
+    const s = i;
+    while (i < len) {
+      if (isName(code(i))) i++;
+      else if (isEscape(i)) consumeEscape();
+      else break;
+    }
+    return src.slice(s, i);
+  };
+  const consumeNumber = () => {
+    if (code(i) === 43 || code(i) === 45) i++;
+    while (isDigit(code(i))) i++;
+    if (code(i) === 46 && isDigit(code(i + 1))) {
+      i++;
+      while (isDigit(code(i))) i++;
+    }
+    const sign = code(i + 1) === 43 || code(i + 1) === 45;
+    if ((code(i) === 69 || code(i) === 101) && isDigit(code(i + (sign ? 2 : 1)))) {
+      i += sign ? 2 : 1;
+      while (isDigit(code(i))) i++;
+    }
+  };
+  const push = (type, start, value, extra) =>
+    tokens.push({ type, value: value == null ? src.slice(start, i) : value, start, end: i, ...extra });
+  const PUNCT = { 40: '(', 41: ')', 91: '[', 93: ']', 123: '{', 125: '}' };
+  const NAMED = { 44: 'comma', 58: 'colon', 59: 'semicolon' };
+
+  while (i < len) {
+    const start = i;
+    const c = code(i);
+    if (c === 47 && code(i + 1) === 42) {
+      const close = src.indexOf('*/', i + 2);
+      i = close === -1 ? len : close + 2;
+      push('comment', start);
+    } else if (isWs(c)) {
+      while (isWs(code(i))) i++;
+      push('ws', start);
+    } else if (c === 34 || c === 39) {
+      let type = 'string';
+      i++;
+      while (i < len) {
+        const d = code(i);
+        if (d === c) {
+          i++;
+          break;
+        }
+        if (isNewline(d)) {
+          type = 'bad-string';
+          break;
+        }
+        if (d === 92) i += code(i + 1) === 13 && code(i + 2) === 10 ? 3 : 2;
+        else i++;
+      }
+      push(type, start);
+    } else if (c === 35 && (isName(code(i + 1)) || isEscape(i + 1))) {
+      i++;
+      push('hash', start, consumeName());
+    } else if (startsNumber(i)) {
+      consumeNumber();
+      if (startsIdent(i)) {
+        const unitStart = i;
+        consumeName();
+        push('dimension', start, null, { unit: src.slice(unitStart, i) });
+      } else if (code(i) === 37) {
+        i++;
+        push('percentage', start);
+      } else push('number', start);
+    } else if (c === 45 && code(i + 1) === 45 && code(i + 2) === 62) {
+      i += 3;
+      push('cdc', start);
+    } else if (startsIdent(i)) {
+      const name = consumeName();
+      if (code(i) !== 40) {
+        push('ident', start, name);
+        continue;
+      }
+      i++; // (
+      let k = i;
+      while (isWs(code(k))) k++;
+      if (name.toLowerCase() !== 'url' || code(k) === 34 || code(k) === 39) {
+        push('function', start, name);
+        continue;
+      }
+      // unquoted url(...) is a single token
+      let type = 'url';
+      while (i < len && code(i) !== 41) {
+        if (isEscape(i)) {
+          consumeEscape();
+          continue;
+        }
+        if (code(i) === 34 || code(i) === 39 || code(i) === 40) type = 'bad-url';
+        i++;
+      }
+      if (i < len) i++;
+      push(type, start, name);
+    } else if (c === 64 && startsIdent(i + 1)) {
+      i++;
+      push('at-keyword', start, consumeName());
+    } else if (c === 60 && src.startsWith('<!--', i)) {
+      i += 4;
+      push('cdo', start);
+    } else {
+      i++;
+      push(PUNCT[c] || NAMED[c] || 'delim', start);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a stylesheet into a lightweight rule tree.
+ * Node shapes:
+ *   - `{type:'atrule', name, prelude, start, end, children}` (`children` is null for `@import …;`)
+ *   - `{type:'rule', selector, start, end, children}` (nested rules are children of their parent)
+ *   - `{type:'decl', prop, value, important, start, end, valueStart, valueEnd}`
+ * Invalid constructs are skipped the way browsers drop them.
+ *
+ * @param {string} src CSS source.
+ * @returns {{type:'stylesheet', children:object[]}} Root node.
+ */
+function parseStylesheet(src) {
+  const tokens = lexCss(src);
+  const n = tokens.length;
+  const CLOSER = { '(': ')', '[': ']', '{': '}', function: ')' };
+  const isTrivia = (t) => t.type === 'ws' || t.type === 'comment';
+
+  // index just past the component value starting at `k` (whole block for ( [ { and functions)
+  const skipComponent = (k) => {
+    const close = CLOSER[tokens[k].type];
+    if (!close) return k + 1;
+    k++;
+    while (k < n && tokens[k].type !== close) k = skipComponent(k);
+    return k + 1;
+  };
+
+  // source text of tokens [a, b) without comments and surrounding whitespace
+  const text = (a, b) => {
+    while (a < b && isTrivia(tokens[a])) a++;
+    while (b > a && isTrivia(tokens[b - 1])) b--;
+    let out = '';
+    for (let k = a; k < b; k++) {
+      const t = tokens[k];
+      if (t.type !== 'comment') out += src.slice(t.start, t.end);
+      else if (tokens[k - 1].type !== 'ws' && tokens[k + 1].type !== 'ws') out += ' ';
+    }
+    return out;
+  };
+
+  const consumeAtRule = (k) => {
+    const start = tokens[k].start;
+    let j = k + 1;
+    while (j < n && !['semicolon', '{', '}'].includes(tokens[j].type)) j = skipComponent(j);
+    const node = {
+      type: 'atrule',
+      name: tokens[k].value.toLowerCase(),
+      prelude: text(k + 1, j).replace(/\s+/g, ' '),
+      start,
+      end: tokens[j - 1].end,
+      children: null,
+    };
+    if (j < n && tokens[j].type === '{') {
+      const block = consumeBlockContents(j + 1);
+      node.children = block.children;
+      node.end = block.end;
+      return { node, next: block.next };
+    }
+    if (j < n && tokens[j].type === 'semicolon') {
+      node.end = tokens[j].end;
+      j++;
+    }
+    return { node, next: j };
+  };
+
+  const consumeQualifiedRule = (k, nested) => {
+    let j = k;
+    while (j < n && tokens[j].type !== '{') {
+      const type = tokens[j].type;
+      if (nested && (type === 'semicolon' || type === '}')) {
+        return { node: null, next: type === 'semicolon' ? j + 1 : j };
+      }
+      j = skipComponent(j);
+    }
+    if (j >= n) return { node: null, next: n };
+    const block = consumeBlockContents(j + 1);
+    const node = {
+      type: 'rule',
+      selector: text(k, j).replace(/\s+/g, ' '),
+      start: tokens[k].start,
+      end: block.end,
+      children: block.children,
+    };
+    return { node, next: block.next };
+  };
+
+  // `name: value` up to `;` or the end of the block; null when it is really a nested rule
+  const consumeDeclaration = (k) => {
+    let colon = k + 1;
+    while (isTrivia(tokens[colon])) colon++;
+    const prop = tokens[k].value;
+    const custom = prop.startsWith('--');
+    let j = colon + 1;
+    let sawBlock = false;
+    while (j < n && tokens[j].type !== 'semicolon' && tokens[j].type !== '}') {
+      if (tokens[j].type === '{') sawBlock = true;
+      j = skipComponent(j);
+    }
+    if (sawBlock && !custom) return null;
+
+    let a = colon + 1;
+    let b = j;
+    while (a < b && isTrivia(tokens[a])) a++;
+    while (b > a && isTrivia(tokens[b - 1])) b--;
+    let important = false;
+    if (b > a && tokens[b - 1].type === 'ident' && /^important$/i.test(tokens[b - 1].value)) {
+      let bang = b - 2;
+      while (bang > a && isTrivia(tokens[bang])) bang--;
+      if (bang >= a && tokens[bang].type === 'delim' && tokens[bang].value === '!') {
+        important = true;
+        b = bang;
+        while (b > a && isTrivia(tokens[b - 1])) b--;
+      }
+    }
+    const valueStart = b > a ? tokens[a].start : tokens[colon].end;
+    const node = {
+      type: 'decl',
+      prop: custom ? prop : prop.toLowerCase(),
+      value: text(a, b),
+      important,
+      start: tokens[k].start,
+      end: j < n && tokens[j].type === 'semicolon' ? tokens[j].end : tokens[j - 1].end,
+      valueStart,
+      valueEnd: b > a ? tokens[b - 1].end : valueStart,
+    };
+    return { node, next: j < n && tokens[j].type === 'semicolon' ? j + 1 : j };
+  };
+
+  const isDeclarationStart = (k) => {
+    if (tokens[k].type !== 'ident') return false;
+    let c = k + 1;
+    while (c < n && isTrivia(tokens[c])) c++;
+    return c < n && tokens[c].type === 'colon';
+  };
+
+  const consumeBlockContents = (k) => {
+    const children = [];
+    while (k < n) {
+      const t = tokens[k];
+      if (isTrivia(t) || t.type === 'semicolon') {
+        k++;
+        continue;
+      }
+      if (t.type === '}') return { children, next: k + 1, end: t.end };
+      let r = null;
+      if (t.type === 'at-keyword') r = consumeAtRule(k);
+      else if (isDeclarationStart(k)) r = consumeDeclaration(k);
+      if (!r) r = consumeQualifiedRule(k, true);
+      if (r.node) children.push(r.node);
+      k = r.next;
+    }
+    return { children, next: n, end: src.length };
+  };
+
+  const children = [];
+  let k = 0;
+  while (k < n) {
+    const t = tokens[k];
+    if (isTrivia(t) || ['cdo', 'cdc', '}', 'semicolon'].includes(t.type)) {
+      k++;
+      continue;
+    }
+    const r = t.type === 'at-keyword' ? consumeAtRule(k) : consumeQualifiedRule(k, false);
+    if (r.node) children.push(r.node);
+    k = r.next;
+  }
+  return { type: 'stylesheet', children };
+}
+
+/**
+ * Flatten a rule tree into declaration entries. Nested selectors are resolved
+ * against their parents and each entry keeps its enclosing at-rule chain.
+ *
+ * @param {object[]} nodes Tree nodes (usually `parseStylesheet(css).children`).
+ * @param {string} [selector=''] Resolved selector of the enclosing rule.
+ * @param {Array<{name:string, prelude:string}>} [atRules=[]] Enclosing at-rules, outermost first.
+ * @param {object[]} [out=[]] Accumulator.
+ * @returns {Array<{selector:string, prop:string, value:string, important:boolean,
+ *   atRules:Array<{name:string, prelude:string}>, start:number, end:number,
+ *   valueStart:number, valueEnd:number}>} Declarations in source order.
+ */
+function flattenDeclarations(nodes, selector = '', atRules = [], out = []) {
+  for (const node of nodes) {
+    if (node.type === 'decl') {
+      const { prop, value, important, start, end, valueStart, valueEnd } = node;
+      out.push({ selector, prop, value, important, atRules, start, end, valueStart, valueEnd });
+    } else if (node.type === 'rule') {
+      flattenDeclarations(node.children, resolveNestedSelector(selector, node.selector), atRules, out);
+    } else if (node.children && !DESCRIPTOR_AT_RULES.test(node.name)) {
+      flattenDeclarations(node.children, selector, [...atRules, { name: node.name, prelude: node.prelude }], out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a stylesheet into flat declaration entries.
+ *
+ * @param {string} css CSS source (after unit conversion).
+ * @returns {ReturnType<typeof flattenDeclarations>} Declarations in source order.
+ */
+function parseEntries(css) {
+  return flattenDeclarations(parseStylesheet(css).children);
+}
+
+/**
+ * Resolve a nested selector against its parent (CSS Nesting): `&` is replaced
+ * by each parent selector, otherwise the child becomes a descendant.
+ *
+ * @param {string} parent Resolved parent selector list ('' at top level).
+ * @param {string} child Selector list as written inside the parent block.
+ * @returns {string} Resolved selector list.
+ */
+function resolveNestedSelector(parent, child) {
+  if (!parent) return child;
+  const out = [];
+  for (const p of splitTopLevel(parent, ',')) {
+    for (const c of splitTopLevel(child, ',')) {
+      out.push(c.includes('&') ? c.replace(/&/g, p) : `${p} ${c}`);
+    }
+  }
+  return out.join(', ');
+}
+
+/* ---------------------------------------------------------------
+   INPUT ADAPTERS
+   CSS embedded in other files is cut into blocks that run through the
+   pipeline as stylesheets of their own; each block remembers its host
+   offsets so rewrites are spliced back into the original file.
+---------------------------------------------------------------- */
+
+const MARKUP_FILE = /\.(?:html?|vue|svelte|astro)$/i;
+const SCRIPT_FILE = /\.(?:[cm]?[jt]sx?)$/i;
+const STYLE_HOLE = /__tcss(\d+)__/g; // stands in for `${…}` / `{…}` interpolations while parsing
+
+/**
+ * Whether a file name is handled by an input adapter rather than read as CSS.
+ *
+ * @param {string|null} file File name or path.
+ * @returns {boolean} True for markup and script hosts.
+ */
+function isStyleHost(file) {
+  return !!file && (MARKUP_FILE.test(file) || SCRIPT_FILE.test(file));
+}
+
+/**
+ * Cut the CSS out of a source file. Plain stylesheets are a single block.
+ *
+ * @param {string} source File contents.
+ * @param {string|null} file File name; its extension picks the adapter.
+ * @returns {Array<{start:number, end:number, css:string, prefix:string, suffix:string,
+ *   holes:string[]}>} Blocks in source order. `css` is `prefix` + the host text
+ *   between `start` and `end` (interpolations replaced by placeholders) + `suffix`.
+ */
+function extractStyles(source, file) {
+  if (file && MARKUP_FILE.test(file)) return extractMarkupStyles(source);
+  if (file && SCRIPT_FILE.test(file)) return extractTemplateStyles(source);
+  return [styleBlock(source, 0, source.length)];
+}
+
+/**
+ * `<style>` elements and inline `style=""` attributes of an HTML, Vue, Svelte
+ * or Astro file. Style blocks with a non-CSS `lang` (scss, less, stylus) are
+ * skipped. `<script>` elements and Astro frontmatter are searched for CSS-in-JS.
+ * Inline styles are wrapped in a rule for their tag, so `<body style>` counts
+ * as `body`; `{expr}` / `{{ expr }}` bindings inside them are kept as-is.
+ *
+ * @param {string} source Markup source.
+ * @returns {ReturnType<typeof extractStyles>} Blocks in source order.
+ */
+function extractMarkupStyles(source) {
+  const blocks = [];
+  const masked = []; // comments and scripts: no markup is read from them
+  const inside = (i) => masked.some(([s, e]) => i >= s && i < e);
+  for (const m of source.matchAll(/<!--[\s\S]*?-->/g)) masked.push([m.index, m.index + m[0].length]);
+  const scripts = [...source.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script\s*>/gi)].map((m) => ({
+    index: m.index,
+    length: m[0].length,
+    body: m[1],
+    offset: m.index + m[0].length - m[1].length - m[0].match(/<\/script\s*>$/i)[0].length,
+  }));
+  const frontmatter = /^---\r?\n([\s\S]*?)\r?\n---/.exec(source); // Astro component script
+  if (frontmatter) {
+    const offset = frontmatter[0].indexOf(frontmatter[1]);
+    scripts.push({ index: 0, length: frontmatter[0].length, body: frontmatter[1], offset });
+  }
+  for (const script of scripts) {
+    if (inside(script.index)) continue;
+    masked.push([script.index, script.index + script.length]);
+    for (const block of extractTemplateStyles(script.body)) {
+      blocks.push({ ...block, start: block.start + script.offset, end: block.end + script.offset });
+    }
+  }
+
+  for (const m of source.matchAll(/<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi)) {
+    if (inside(m.index)) continue;
+    const lang = /\blang\s*=\s*["']?([\w-]+)/i.exec(m[1]);
+    if (lang && !/^(?:css|postcss)$/i.test(lang[1])) continue;
+    const start = m.index + m[0].indexOf('>') + 1;
+    blocks.push(styleBlock(source, start, start + m[2].length));
+  }
+
+  const tagRe = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*)\s*\/?>/g;
+  for (const m of source.matchAll(tagRe)) {
+    if (inside(m.index)) continue;
+    const attr = /(\s)style\s*=\s*("([^"]*)"|'([^']*)')/i.exec(m[2]);
+    if (!attr) continue;
+    const value = attr[3] ?? attr[4];
+    const start = m.index + 1 + m[1].length + attr.index + attr[0].length - value.length - 1;
+    const bindings = /\{\{[\s\S]*?\}\}|\{[^{}]*\}/g; // Vue / Svelte / Astro expressions
+    blocks.push(styleBlock(source, start, start + value.length, `${m[1].toLowerCase()}{`, '}', bindings));
+  }
+  return blocks.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * CSS-in-JS tagged template literals: `css`, `keyframes`, `createGlobalStyle`,
+ * `injectGlobal`, `styled.tag`, `styled(Component)` and their `.attrs()` /
+ * `.withConfig()` / `<Props>` forms (styled-components, emotion, linaria).
+ * Component styles are declarations, so they are wrapped in a rule (`styled.a`
+ * becomes `a { … }`); global styles are read as a stylesheet. `${…}`
+ * interpolations are replaced by placeholders and restored after the rewrite.
+ *
+ * @param {string} source JavaScript or TypeScript source.
+ * @returns {ReturnType<typeof extractStyles>} Blocks in source order.
+ */
+function extractTemplateStyles(source) {
+  const blocks = [];
+  const call = String.raw`\((?:[^()]|\([^()]*\))*\)`;
+  const tagRe = new RegExp(
+    String.raw`(css|keyframes|createGlobalStyle|injectGlobal|styled(?:\.([\w$]+)|${call})` +
+      String.raw`(?:\.(?:attrs|withConfig)${call})*)\s*(?:<[^\`;]*?>)?\s*\``,
+    'y'
+  );
+  for (let i = 0; i < source.length; i++) {
+    tagRe.lastIndex = i;
+    const m = /[\w$.]/.test(source[i - 1] || '') ? null : tagRe.exec(source);
+    if (!m) {
+      i = skipJsLiteral(source, i); // comments, strings and untagged templates are not CSS
+      continue;
+    }
+    const start = i + m[0].length;
+    const { end, holes } = templateLiteralEnd(source, start);
+    i = end;
+    if (end >= source.length) break; // unterminated literal
+    const tag = m[1];
+    let prefix = '.css-in-js{';
+    if (/^(?:createGlobalStyle|injectGlobal)$/.test(tag)) prefix = '';
+    else if (tag === 'keyframes') prefix = '@keyframes css-in-js{';
+    else if (m[2]) prefix = `${m[2].toLowerCase()}{`;
+    blocks.push(styleBlock(source, start, end, prefix, prefix ? '}' : '', holes));
+  }
+  return blocks;
+}
+
+/**
+ * Find the closing backtick of a template literal and its `${…}` interpolations,
+ * skipping strings, comments and nested templates inside the expressions.
+ *
+ * @param {string} source JavaScript source.
+ * @param {number} i Offset just after the opening backtick.
+ * @returns {{end:number, holes:Array<[number, number]>}} Offset of the closing
+ *   backtick (`source.length` when unterminated) and interpolation ranges.
+ */
+function templateLiteralEnd(source, i) {
+  const holes = [];
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') i += 2;
+    else if (ch === '`') return { end: i, holes };
+    else if (ch === '$' && source[i + 1] === '{') {
+      const start = i;
+      let depth = 0;
+      for (i += 2; i < source.length && (depth || source[i] !== '}'); i++) {
+        const c = source[i];
+        if (c === '{') depth++;
+        else if (c === '}') depth--;
+        else i = skipJsLiteral(source, i);
+      }
+      holes.push([start, ++i]);
+    } else i++;
+  }
+  return { end: source.length, holes };
+}
+
+/**
+ * Skip a JavaScript comment, string or template literal.
+ *
+ * @param {string} source JavaScript source.
+ * @param {number} i Offset to look at.
+ * @returns {number} Offset of the construct's last character, or `i` when none starts there.
+ */
+function skipJsLiteral(source, i) {
+  const close = (text, from) => {
+    const j = source.indexOf(text, from);
+    return j === -1 ? source.length : j + text.length - 1;
+  };
+  const q = source[i];
+  if (source.startsWith('//', i)) return close('\n', i + 2);
+  if (source.startsWith('/*', i)) return close('*/', i + 2);
+  if (q === '`') return templateLiteralEnd(source, i + 1).end;
+  if (q !== '"' && q !== "'") return i;
+  let j = i + 1;
+  while (j < source.length && source[j] !== q && source[j] !== '\n') j += source[j] === '\\' ? 2 : 1;
+  return j;
+}
+
+/**
+ * Describe a slice of a host file as a stylesheet block.
+ *
+ * @param {string} source Host file contents.
+ * @param {number} start Offset where the CSS starts.
+ * @param {number} end Offset where the CSS ends.
+ * @param {string} [prefix=''] Text that makes the slice a stylesheet (a rule opener).
+ * @param {string} [suffix=''] Matching closer.
+ * @param {Array<[number, number]>|RegExp} [holes=[]] Interpolation ranges in host
+ *   offsets, or a pattern matching them inside the slice.
+ * @returns {ReturnType<typeof extractStyles>[number]} Block.
+ */
+function styleBlock(source, start, end, prefix = '', suffix = '', holes = []) {
+  const cut = [];
+  const ranges =
+    holes instanceof RegExp
+      ? [...source.slice(start, end).matchAll(holes)].map((h) => [start + h.index, start + h.index + h[0].length])
+      : holes;
+  let css = '';
+  let at = start;
+  for (const [s, e] of ranges) {
+    css += `${source.slice(at, s)}__tcss${cut.length}__`;
+    cut.push(source.slice(s, e));
+    at = e;
+  }
+  css += source.slice(at, end);
+  return { start, end, css: prefix + css + suffix, prefix, suffix, holes: cut };
+}
+
+/**
+ * Put processed block CSS back into the host file: the block's wrapper is
+ * removed and its interpolations restored before splicing.
+ *
+ * @param {string} source Host file contents.
+ * @param {ReturnType<typeof extractStyles>} blocks Blocks from `extractStyles()`.
+ * @param {(block: object) => string} render Processed CSS of a block (wrapper included).
+ * @returns {string} Host file with every block replaced.
+ */
+function spliceStyles(source, blocks, render) {
+  return applyEdits(
+    source,
+    blocks.map((block) => {
+      const css = render(block);
+      const body = css.slice(block.prefix.length, css.length - block.suffix.length);
+      return { start: block.start, end: block.end, text: body.replace(STYLE_HOLE, (_, n) => block.holes[n]) };
+    })
+  );
+}
+
+/* ---------------------------------------------------------------
+   EXISTING CUSTOM PROPERTIES
+   Variables the input already declares become pre-named tokens, and
+   var() references count as uses of the value they resolve to.
+---------------------------------------------------------------- */
+
+/**
+ * Light-theme value of every global custom property: the first declaration
+ * outside at-rules by `:root`, `html` or `:host`. A variable declared on any
+ * other selector is only defined below it, so it can't stand in for a value
+ * elsewhere. `light-dark()` contributes its first value.
+ *
+ * @param {object[]} entries Declarations from `parseEntries()`.
+ * @returns {Map<string, string>} Property name > raw value (may hold `var()`).
+ */
+function declaredCustomProps(entries) {
+  const out = new Map();
+  for (const e of entries) {
+    if (!e.prop.startsWith('--') || e.atRules.length || !isGlobalSelector(e.selector) || out.has(e.prop)) continue;
+    const value = lightValue(e.value);
+    if (value) out.set(e.prop, value);
+  }
+  return out;
+}
+
+/**
+ * Whether every selector in a list targets the document root (`:root`,
+ * `html`, `:host`), where custom properties are visible to every rule.
+ *
+ * @param {string} selector Selector list.
+ * @returns {boolean} True for root selectors only.
+ */
+function isGlobalSelector(selector) {
+  const parts = splitTopLevel(selector, ',');
+  return parts.length > 0 && parts.every((s) => /^(?::root|html|:host)$/i.test(s));
+}
+
+/**
+ * The light-theme part of a custom property value: the first argument of
+ * `light-dark()`, or the whole value.
+ *
+ * @param {string} value Raw declaration value.
+ * @returns {string} Trimmed value.
+ */
+function lightValue(value) {
+  const lightDark = /^light-dark\((.*)\)$/is.exec(value.trim());
+  return lightDark ? splitTopLevel(lightDark[1], ',')[0].trim() : value.trim();
+}
+
+/**
+ * Global custom properties that some other light-theme scope (a selector, an
+ * `@media` or `@supports` block) sets to a different value. Rewriting a
+ * literal to such a variable would change the color wherever that scope
+ * applies, so they are not reused as tokens.
+ *
+ * @param {object[]} entries Declarations from `parseEntries()`.
+ * @param {Map<string, string>} declared Output of `declaredCustomProps()`.
+ * @returns {Set<string>} Property names.
+ */
+function rescopedCustomProps(entries, declared) {
+  const out = new Set();
+  for (const e of entries) {
+    if (declared.has(e.prop) && !inDarkScope(e) && lightValue(e.value) !== declared.get(e.prop)) out.add(e.prop);
+  }
+  return out;
+}
+
+/**
+ * Dark-theme value of every custom property `declaredCustomProps()` found,
+ * when the input sets one: the last redeclaration in a dark scope (see
+ * `inDarkScope()`), or the second value of its `light-dark()`. `var()`
+ * references resolve against the light values.
+ *
+ * @param {object[]} entries Declarations from `parseEntries()`.
+ * @param {Map<string, string>} declared Output of `declaredCustomProps()`.
+ * @returns {Map<string, string>} Property name > dark value.
+ */
+function darkCustomProps(entries, declared) {
+  const out = new Map();
+  for (const e of entries) {
+    if (!declared.has(e.prop)) continue;
+    const lightDark = /^light-dark\((.*)\)$/is.exec(e.value.trim());
+    let value = null;
+    if (inDarkScope(e)) value = e.value.trim();
+    else if (lightDark && !e.atRules.length && !out.has(e.prop)) value = splitTopLevel(lightDark[1], ',')[1];
+    if (value) out.set(e.prop, substituteVars(value.trim(), declared));
+  }
+  return out;
+}
+
+/**
+ * Whether a declaration only applies in dark mode: a selector that mentions
+ * `dark` outside at-rules, or a `@media (prefers-color-scheme: dark)` block.
+ *
+ * @param {{selector:string, atRules:Array<{name:string, prelude:string}>}} e Declaration.
+ * @returns {boolean} True in a dark scope.
+ */
+function inDarkScope(e) {
+  if (!e.atRules.length) return /dark/i.test(e.selector);
+  return (
+    e.atRules.every((a) => a.name.toLowerCase() === 'media') &&
+    e.atRules.some((a) => /prefers-color-scheme\s*:\s*dark/i.test(a.prelude))
+  );
+}
+
+/**
+ * Seed tokens for the custom properties that hold a plain value. Aliases
+ * (`--link: var(--brand)`) are not tokens of their own; their uses count
+ * towards the variable they resolve to.
+ *
+ * @param {Map<string, string>} declared Output of `declaredCustomProps()`.
+ * @param {Map<string, Set<string>>} [varProps] Properties each variable is used in.
+ * @returns {{name:string, type:string, value:string, usedIn?:Set<string>}[]} Seed tokens.
+ */
+function customPropSeeds(declared, varProps = new Map()) {
+  const out = [];
+  for (const [name, value] of declared) {
+    if (/\bvar\(/i.test(value)) continue;
+    out.push({ name, type: seedType(value), value, usedIn: varProps.get(name) });
+  }
+  return out;
+}
+
+/**
+ * Replace `var(--x[, fallback])` references with the declared values,
+ * following chains; unknown variables fall back to their fallback or stay as
+ * written. Every variable passed through is appended to `refs`.
+ *
+ * @param {string} value CSS value.
+ * @param {Map<string, string>} declared Output of `declaredCustomProps()`.
+ * @param {string[]} [refs=[]] Collects the referenced names.
+ * @param {number} [depth=0] Chain depth (cycles stop after 10 hops).
+ * @returns {string} Value with the references substituted.
+ */
+function substituteVars(value, declared, refs = [], depth = 0) {
+  let out = '';
+  let i = 0;
+  const re = /(^|[^\w-])var\(/gi;
+  let m;
+  while ((m = re.exec(value))) {
+    const open = m.index + m[0].length - 1;
+    let close = open;
+    for (let d = 0; close < value.length; close++) {
+      if (value[close] === '(') d++;
+      else if (value[close] === ')' && --d === 0) break;
+    }
+    const [name, ...fallback] = splitTopLevel(value.slice(open + 1, close), ',');
+    const key = name.trim();
+    refs.push(key);
+    let sub = value.slice(open - 3, close + 1);
+    if (declared.has(key) && depth < 10) sub = substituteVars(declared.get(key), declared, refs, depth + 1);
+    else if (fallback.length) sub = substituteVars(fallback.join(',').trim(), declared, refs, depth + 1);
+    out += value.slice(i, open - 3) + sub;
+    i = close + 1;
+    re.lastIndex = i;
+  }
+  return out + value.slice(i);
+}
+
+/* ---------------------------------------------------------------
+   BREAKPOINTS + RESPONSIVE TOKENS
+   Width media queries give breakpoint tokens. A declaration whose value
+   changes inside them becomes one token redefined per media block, and
+   its values stay out of the global scale counts.
+---------------------------------------------------------------- */
+
+/**
+ * Reference widths for breakpoint names (Tailwind's defaults plus `xs`).
+ * Detected breakpoints take the closest names in ascending order.
+ */
+const BREAKPOINT_NAMES = [
+  ['xs', 480],
+  ['sm', 640],
+  ['md', 768],
+  ['lg', 1024],
+  ['xl', 1280],
+  ['2xl', 1536],
+];
+
+/**
+ * Widths a media query prelude tests: `(min-width: 768px)`, `(max-width: 47.99em)`,
+ * `(width >= 768px)`, `(600px < width <= 900px)`.
+ *
+ * @param {string} prelude Media query prelude.
+ * @returns {{lit:string, max:boolean}[]} Width literals; `max` for upper bounds.
+ */
+function mediaWidths(prelude) {
+  const out = [];
+  for (const [feature] of prelude.matchAll(/\([^()]*\bwidth\b[^()]*\)/gi)) {
+    if (/device-width/i.test(feature)) continue;
+    const plain = /(min|max)-width\s*:\s*([\d.]+(?:px|r?em))/i.exec(feature);
+    if (plain) {
+      out.push({ lit: plain[2], max: plain[1].toLowerCase() === 'max' });
+      continue;
+    }
+    // range syntax: the bound is an upper bound when it sits on the `<` side of `width`
+    for (const m of feature.matchAll(/([\d.]+(?:px|r?em))\s*(<|>)=?\s*width|width\s*(<|>)=?\s*([\d.]+(?:px|r?em))/gi)) {
+      out.push(m[1] ? { lit: m[1], max: m[2] === '>' } : { lit: m[4], max: m[3] === '<' });
+    }
+  }
+  return out;
+}
+
+/**
+ * Name breakpoints after the closest reference widths, keeping them in
+ * ascending order. Upper bounds just below a lower bound (`max-width: 767px`
+ * next to `min-width: 768px`) are the same breakpoint and get no token.
+ * More breakpoints than names are numbered instead.
+ *
+ * @param {Map<string, {px:number, max:boolean}>} byBreakpoint Width literal > info.
+ * @param {string} prefix Variable prefix (`bp`).
+ * @returns {{bpOrder:string[], bpMap:Map<string, string>}} Ascending literals and their names.
+ */
+function nameBreakpoints(byBreakpoint, prefix) {
+  const all = [...byBreakpoint.entries()];
+  const bpOrder = all
+    .filter(([, { px, max }]) => !max || !all.some(([, o]) => !o.max && o.px > px && o.px - px <= 1))
+    .sort((a, b) => a[1].px - b[1].px)
+    .filter((e, i, list) => !i || e[1].px !== list[i - 1][1].px)
+    .map(([lit]) => lit);
+  if (bpOrder.length > BREAKPOINT_NAMES.length) {
+    return { bpOrder, bpMap: new Map(bpOrder.map((lit, i) => [lit, `--${prefix}-${i + 1}`])) };
+  }
+  // cheapest increasing choice of names; at most six names, so every subset is tried
+  const cost = (lit, j) => Math.abs(Math.log(byBreakpoint.get(lit).px / BREAKPOINT_NAMES[j][1]));
+  const best = (i, from) => {
+    if (i === bpOrder.length) return { total: 0, picks: [] };
+    let top = null;
+    for (let j = from; j <= BREAKPOINT_NAMES.length - (bpOrder.length - i); j++) {
+      const rest = best(i + 1, j + 1);
+      const total = cost(bpOrder[i], j) + rest.total;
+      if (!top || total < top.total) top = { total, picks: [j, ...rest.picks] };
+    }
+    return top;
+  };
+  const { picks } = best(0, 0);
+  return {
+    bpOrder,
+    bpMap: new Map(bpOrder.map((lit, i) => [lit, `--${prefix}-${BREAKPOINT_NAMES[picks[i]][0]}`])),
+  };
+}
+
+/**
+ * Declarations that change value per width media query. For each selector and
+ * property set both outside any at-rule (the last such declaration is the base)
+ * and inside width `@media` blocks with a different value, one token named
+ * `--<selector>-<property>` holds the base value and is redefined per block;
+ * a name the input already declares gets a numeric suffix.
+ * Only font sizes, line heights, letter spacing, spacing and radii are
+ * considered, each under its feature, and only for `css` rewrites: Sass, Less
+ * and Stylus variables can't change per media query.
+ *
+ * @param {object[]} entries Declarations from `parseEntries()`.
+ * @param {object} opts Resolved options.
+ * @returns {Array<{name:string, selector:string, prop:string, value:string,
+ *   media:Array<{atRules:object[], key:string, value:string}>}>} Responsive tokens in source order.
+ */
+function findResponsive(entries, opts) {
+  const { features } = opts;
+  if (opts.rewriteTarget !== 'css') return [];
+  const eligible = (prop) =>
+    (features.includes('typography') && (fontSizePropRE.test(prop) || lineHeightPropRE.test(prop) || letterSpacingPropRE.test(prop))) ||
+    (features.includes('spacing') && lenPropsRE.test(prop)) ||
+    (features.includes('radius') && radiusPropRE.test(prop));
+  const groups = new Map(); // selector + prop > {selector, prop, value, media: Map(key > {...})}
+  for (const e of entries) {
+    if (!eligible(e.prop) || e.important || /\bvar\(/i.test(e.value)) continue;
+    const key = mediaKey(e.atRules);
+    if (key === null) continue;
+    const id = `${e.selector}\n${e.prop}`;
+    if (!groups.has(id)) groups.set(id, { selector: e.selector, prop: e.prop, value: null, media: new Map() });
+    const group = groups.get(id);
+    const value = e.value.trim();
+    if (!key) group.value = value;
+    else group.media.set(key, { atRules: e.atRules, key, value });
+  }
+  const used = new Set(entries.filter((e) => e.prop.startsWith('--')).map((e) => e.prop)); // never shadow the input's own
+  const out = [];
+  for (const { selector, prop, value, media } of groups.values()) {
+    const overrides = [...media.values()].filter((m) => m.value !== value);
+    if (value === null || !overrides.length) continue;
+    const slug = selector.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'root';
+    let name = `--${slug}-${prop}`;
+    for (let n = 2; used.has(name); n++) name = `--${slug}-${prop}-${n}`;
+    used.add(name);
+    out.push({ name, selector, prop, value, media: overrides });
+  }
+  return out;
+}
+
+/**
+ * Identify the media context of a declaration for `findResponsive()`.
+ *
+ * @param {Array<{name:string, prelude:string}>} atRules Enclosing at-rules.
+ * @returns {string|null} `''` outside at-rules, the joined `@media` preludes
+ *   when at least one tests a width, `null` for any other context.
+ */
+function mediaKey(atRules) {
+  if (!atRules.length) return '';
+  if (!atRules.every((a) => a.name.toLowerCase() === 'media')) return null;
+  if (!atRules.some((a) => mediaWidths(a.prelude).length)) return null;
+  return atRules.map((a) => a.prelude.trim()).join(' and ');
+}
+
+/**
+ * The responsive token a declaration sets, if any: same selector and property
+ * as the token and the value the token holds in the declaration's context.
+ *
+ * @param {{selector:string, prop:string, value:string, atRules:object[]}} entry Declaration.
+ * @param {ReturnType<typeof findResponsive>} responsive Responsive tokens.
+ * @returns {string|null} Token name.
+ */
+function responsiveName(entry, responsive) {
+  if (!responsive.length) return null;
+  const key = mediaKey(entry.atRules);
+  if (key === null) return null;
+  const value = entry.value.trim();
+  for (const token of responsive) {
+    if (token.selector !== entry.selector || token.prop !== entry.prop) continue;
+    if (key ? token.media.some((m) => m.key === key && m.value === value) : token.value === value) return token.name;
+  }
+  return null;
+}
+
+/* ---------------------------------------------------------------
+   COLLECT CANDIDATES
+---------------------------------------------------------------- */
+
+/**
+ * Count every token candidate (colors, lengths, typography, motion…) used by
+ * the declarations. `var()` references to declared custom properties count as
+ * uses of the value they resolve to, in the referencing property and selector.
+ * Declarations that set a responsive token are left out; the widths of every
+ * `@media` block are collected as breakpoints.
+ *
+ * @param {Array<{selector:string, prop:string, value:string}>} entries Parsed declarations.
+ * @param {Map<string, string>} [declared] Output of `declaredCustomProps()`.
+ * @param {ReturnType<typeof findResponsive>} [responsive] Output of `findResponsive()`.
+ * @returns {Object<string, Map<string, object>>} One `by*` map per candidate group,
+ *   plus `varProps` (variable > properties it is referenced from).
+ */
+function collectCandidates(entries, declared = new Map(), responsive = []) {
+  const byColor = new Map(); // color literal > {count, props, selectors, rgba, hsl, lum, sat}
+  const byLength = new Map(); // spacing literal > {count, props}
+  const byBorderWidth = new Map(); // width literal > {count}
+  const byRadius = new Map(); // radius string > {count}
+  const byShadow = new Map(); // full box-shadow > {count}
+  const byDuration = new Map(); // '200ms'/'0.2s' > {count, ms}
+  const byEase = new Map(); // easing function > {count}
+  const byFontSize = new Map(); // literal -> {count}
+  const byLineHeight = new Map(); // literal -> {count}
+  const byFontWeight = new Map(); // literal -> {count}
+  const byLetterSpacing = new Map(); // literal -> {count}
+  const byFontFamily = new Map(); // literal -> {count}
+  const typeByRule = new Map(); // at-rules + selector > {fs, lh} set together in one rule
+  const varProps = new Map(); // custom property > props that reference it
+  const byBreakpoint = new Map(); // width literal > {count, px, max}
+  const seenAtRules = new Set(); // siblings share one at-rule list; count each block once
+
+  for (const entry of entries) {
+    if (!seenAtRules.has(entry.atRules)) {
+      seenAtRules.add(entry.atRules);
+      for (const { name, prelude } of entry.atRules) {
+        if (name.toLowerCase() !== 'media') continue;
+        for (const { lit, max } of mediaWidths(prelude)) {
+          // em/rem in media queries always use the initial font size, so no --root-size here
+          if (!byBreakpoint.has(lit)) byBreakpoint.set(lit, { count: 0, px: lenToPx(lit), max });
+          const node = byBreakpoint.get(lit);
+          node.count++;
+          node.max = node.max && max; // a width used as a lower bound anywhere is a breakpoint
+        }
+      }
+    }
+    if (responsiveName(entry, responsive)) continue; // counted by its responsive token instead
+    // a declared variable's dark value belongs to its token (see darkCustomProps); it is no use of its own
+    if (declared.has(entry.prop) && inDarkScope(entry)) continue;
+
+    // a variable's own declaration counts once, as written; references count where they are used
+    const refs = [];
+    const e = entry.prop.startsWith('--')
+      ? entry
+      : { ...entry, value: substituteVars(entry.value, declared, refs) };
+    for (const name of refs) {
+      if (!varProps.has(name)) varProps.set(name, new Set());
+      varProps.get(name).add(e.prop);
+    }
+    const ruleKey = [...e.atRules.map((a) => `@${a.name} ${a.prelude}`.trim()), e.selector].join(' ');
+    const ruleType = typeByRule.get(ruleKey) || {};
+    typeByRule.set(ruleKey, ruleType);
+
+    // colors
+    const colors = extractColors(e.value, e.prop);
+    for (const c of colors) {
+      const key = colorKey(c);
+      if (!byColor.has(key))
+        byColor.set(key, {
+          count: 0,
+          props: new Map(),
+          selectors: [],
+          rgba: null,
+          hsl: null,
+          lum: 0,
+          sat: 0,
+        });
+      const node = byColor.get(key);
+      node.count++;
+      node.props.set(e.prop, (node.props.get(e.prop) || 0) + 1);
+      node.selectors.push(e.selector);
+    }
+
+    // font shorthand first (so counts include it even if longhands appear elsewhere)
+    if (fontShorthandRE.test(e.prop)) {
+      const parts = parseFontShorthand(e.value);
+      if (parts.fs) ruleType.fs = parts.fs;
+      if (parts.lh) ruleType.lh = parts.lh;
+      if (parts.fs) {
+        byFontSize.set(parts.fs, { count: (byFontSize.get(parts.fs)?.count || 0) + 1 });
+      }
+      if (parts.lh) {
+        byLineHeight.set(parts.lh, { count: (byLineHeight.get(parts.lh)?.count || 0) + 1 });
+      }
+      if (parts.fw) {
+        byFontWeight.set(parts.fw, { count: (byFontWeight.get(parts.fw)?.count || 0) + 1 });
+      }
+    }
+
+    // typography
+    if (fontFamilyPropRE.test(e.prop)) {
+      const lit = normalizeFontFamilyList(e.value);
+      if (!isCssWideKeyword(lit)) {
+        if (!byFontFamily.has(lit)) byFontFamily.set(lit, { count: 0, selectors: [] });
+        const node = byFontFamily.get(lit);
+        node.count++;
+        node.selectors.push(e.selector);
+      }
+    }
+
+    // also consume family from font shorthand
+    if (fontShorthandRE.test(e.prop)) {
+      const sh = parseFontShorthandWithFamily(e.value);
+      if (sh.family) {
+        const fam = normalizeFontFamilyList(sh.family);
+        if (!isCssWideKeyword(fam)) {
+          if (!byFontFamily.has(fam)) byFontFamily.set(fam, { count: 0, selectors: [] });
+          const node = byFontFamily.get(fam);
+          node.count++;
+          node.selectors.push(e.selector);
+        }
+      }
+    }
+
+    if (fontSizePropRE.test(e.prop)) {
+      const lit = e.value.trim();
+      ruleType.fs = lit;
+      if (!byFontSize.has(lit)) byFontSize.set(lit, { count: 0 });
+      byFontSize.get(lit).count++;
+    }
+    if (lineHeightPropRE.test(e.prop)) {
+      const lit = e.value.trim();
+      ruleType.lh = lit;
+      if (!byLineHeight.has(lit)) byLineHeight.set(lit, { count: 0 });
+      byLineHeight.get(lit).count++;
+    }
+    if (fontWeightPropRE.test(e.prop)) {
+      const lit = e.value.trim();
+      if (!byFontWeight.has(lit)) byFontWeight.set(lit, { count: 0 });
+      byFontWeight.get(lit).count++;
+    }
+    if (letterSpacingPropRE.test(e.prop)) {
+      const lit = e.value.trim();
+      if (!byLetterSpacing.has(lit)) byLetterSpacing.set(lit, { count: 0 });
+      byLetterSpacing.get(lit).count++;
+    }
+
+    // spacing
+    if (lenPropsRE.test(e.prop)) {
+      extractLengths(e.value).forEach((len) => {
+        if (!byLength.has(len)) byLength.set(len, { count: 0, props: new Map() });
+        const node = byLength.get(len);
+        node.count++;
+        node.props.set(e.prop, (node.props.get(e.prop) || 0) + 1);
+      });
+    }
+
+    // border widths (from border/outline shorthands)
+    if (borderWidthPropRE.test(e.prop)) {
+      const width = extractBorderWidth(e.value);
+      if (width) {
+        if (!byBorderWidth.has(width)) byBorderWidth.set(width, { count: 0 });
+        byBorderWidth.get(width).count++;
+      }
+    }
+
+    // radius
+    if (radiusPropRE.test(e.prop)) {
+      const lit = normalizeRadius(e.value);
+      if (!byRadius.has(lit)) byRadius.set(lit, { count: 0 });
+      byRadius.get(lit).count++;
+    }
+
+    // shadows
+    if (shadowPropRE.test(e.prop)) {
+      const cleaned = e.value.replace(/\s+/g, ' ').trim();
+      if (!byShadow.has(cleaned)) byShadow.set(cleaned, { count: 0 });
+      byShadow.get(cleaned).count++;
+    }
+
+    // motion
+    if (motionPropRE.test(e.prop)) {
+      extractDurations(e.value).forEach((d) => {
+        if (!byDuration.has(d.str)) byDuration.set(d.str, { count: 0, ms: d.ms });
+        byDuration.get(d.str).count++;
+      });
+      extractEasings(e.value).forEach((fn) => {
+        if (!byEase.has(fn)) byEase.set(fn, { count: 0 });
+        byEase.get(fn).count++;
+      });
+    }
+  }
+
+  // font-size > line-height > how often they share a rule
+  const fsLineHeights = new Map();
+  for (const { fs, lh } of typeByRule.values()) {
+    if (!fs || !lh) continue;
+    if (!fsLineHeights.has(fs)) fsLineHeights.set(fs, new Map());
+    const counts = fsLineHeights.get(fs);
+    counts.set(lh, (counts.get(lh) || 0) + 1);
+  }
+
+  return {
+    byColor,
+    byLength,
+    byBorderWidth,
+    byRadius,
+    byShadow,
+    byDuration,
+    byEase,
+    byFontSize,
+    byLineHeight,
+    byFontWeight,
+    byLetterSpacing,
+    byFontFamily,
+    fsLineHeights,
+    varProps,
+    byBreakpoint,
+  };
+}
+
+/** Candidate group > the `kind` that `filterValue` and `nameToken` see. */
+const CANDIDATE_KINDS = {
+  byColor: 'color',
+  byFontFamily: 'fontFamily',
+  byFontSize: 'fontSize',
+  byLineHeight: 'lineHeight',
+  byFontWeight: 'fontWeight',
+  byLetterSpacing: 'letterSpacing',
+  byLength: 'spacing',
+  byBorderWidth: 'borderWidth',
+  byRadius: 'radius',
+  byShadow: 'shadow',
+  byDuration: 'duration',
+  byEase: 'ease',
+  byBreakpoint: 'breakpoint',
+};
+
+/**
+ * Drop the candidates the `filterValue` option rejects; they are neither
+ * tokenized nor rewritten.
+ *
+ * @param {ReturnType<typeof collectCandidates>} candidates Collected candidates (changed in place).
+ * @param {(literal:string, kind:string)=>boolean} keep `false` leaves a literal out.
+ * @returns {void}
+ */
+function filterCandidates(candidates, keep) {
+  for (const [group, kind] of Object.entries(CANDIDATE_KINDS)) {
+    for (const lit of [...candidates[group].keys()]) {
+      if (keep(lit, kind) === false) candidates[group].delete(lit);
+    }
+  }
+}
+
+/* ---------------------------------------------------------------
+   COLOR SEMANTICS
+---------------------------------------------------------------- */
+
+/**
+ * Fold equivalent and near-duplicate color literals onto one canonical literal.
+ * Literals with the same RGBA always merge (`white`, `#fff` and `#FFFFFF` are
+ * one color); colors outside sRGB only merge with identical spellings, since
+ * their RGBA is clipped. With a `threshold`, colors within that CIEDE2000 ΔE
+ * (and the same alpha) also join the cluster of the most frequent color they
+ * are close to. The canonical literal of each cluster is its most used member,
+ * and its stats add up the counts, props and selectors of the rest.
+ *
+ * @param {Map<string, object>} byColor Color literal > usage stats (left untouched).
+ * @param {number|null} threshold ΔE threshold; `null` merges identical colors only.
+ * @returns {{byColor:Map<string, object>, aliases:Map<string,string>, merged:Object<string,string[]>}}
+ *   Merged stats, member literal > canonical literal, and canonical > merged members.
+ */
+function mergeColors(byColor, threshold) {
+  const aliases = new Map();
+  const merged = {};
+  const near = threshold != null && !Number.isNaN(threshold);
+
+  const byCount = [...byColor.keys()].sort(
+    (a, b) => byColor.get(b).count - byColor.get(a).count || a.localeCompare(b)
+  );
+  const clusters = []; // {rgba, lab, keys, members}; members[0] is the canonical literal
+  for (const lit of byCount) {
+    const rgba = toRgba(lit);
+    const key = rgba && inSrgbGamut(lit) ? rgbaToCss(rgba) : null;
+    const lab = rgba && rgbaToLab(rgba);
+    const home = clusters.find(
+      (c) =>
+        (key && c.keys.has(key)) ||
+        (near &&
+          rgba &&
+          c.rgba &&
+          Math.abs(c.rgba.a - rgba.a) < 0.01 &&
+          deltaE2000(c.lab, lab) <= threshold)
+    );
+    if (home) {
+      home.members.push(lit);
+      if (key) home.keys.add(key);
+    } else clusters.push({ rgba, lab, keys: new Set(key ? [key] : []), members: [lit] });
+  }
+
+  const out = new Map();
+  for (const { members } of clusters) {
+    const [head, ...rest] = members;
+    const node = { ...byColor.get(head), props: new Map(byColor.get(head).props) };
+    node.selectors = [...node.selectors];
+    for (const lit of rest) {
+      const n = byColor.get(lit);
+      node.count += n.count;
+      for (const [prop, k] of n.props) node.props.set(prop, (node.props.get(prop) || 0) + k);
+      node.selectors.push(...n.selectors);
+      aliases.set(lit, head);
+    }
+    if (rest.length) merged[head] = rest;
+    out.set(head, node);
+  }
+  return { byColor: out, aliases, merged };
+}
+
+/**
+ * Assign semantic roles (fg, bg, primary…) to the collected colors and
+ * number the remaining ones by frequency.
+ *
+ * @param {Map<string, object>} byColor Color literal > usage stats.
+ * @param {object} opts Resolved options.
+ * @returns {{roles:Object<string,string|null>, semanticMap:Map<string,string>,
+ *   numericColorMap:Map<string,string>, remainingColors:string[], colorToVar:Map<string,string>}}
+ */
+function pickColorRoles(byColor, opts) {
+  const seeds = seedsFor(opts, 'color');
+  const seededColors = new Map(); // literal > seed name; kept out of role picking and numbering
+  const roleSeeds = new Map(); // literal > seeded role name; picked as usual, then pinned
+  for (const k of byColor.keys()) {
+    const name = seeds.get(k);
+    if (!name) continue;
+    if (COLOR_ROLES.includes(name)) roleSeeds.set(k, name);
+    // with --palette, scale steps are regenerated from the roles instead
+    else if (!(opts.palette && PALETTE_ROLES.some((r) => name.startsWith(`${r}-`)))) seededColors.set(k, name);
+  }
+  // seed order, so a re-run against its own output lists colors the same way
+  const seedOrder = [...seeds.names];
+  const bySeedOrder = [...seededColors].sort((a, b) => seedOrder.indexOf(a[1]) - seedOrder.indexOf(b[1]));
+  seededColors.clear();
+  bySeedOrder.forEach(([k, name]) => seededColors.set(k, name));
+
+  for (const [k, n] of byColor) {
+    n.rgba = toRgba(k);
+    if (!n.rgba) continue; // currentColor: tokenized, but never picked for a role
+    const hsl = rgbaToHsl(n.rgba);
+    n.hsl = hsl;
+    n.sat = hsl.s;
+    n.lum = relLuminance(n.rgba);
+  }
+  // input variables still compete for roles (the role then aliases them); seed-file colors don't
+  const declared = opts.declaredProps || new Set();
+  // fully transparent colors are tokenized too, but can't stand in for a role
+  const palette = [...byColor.keys()].filter(
+    (k) =>
+      byColor.get(k).rgba &&
+      byColor.get(k).rgba.a > 0 &&
+      (!seededColors.has(k) || declared.has(seededColors.get(k)))
+  );
+
+  const roles = {};
+  const used = new Set();
+  const isGrayish = (c) => byColor.get(c).sat <= 0.1;
+  const isSaturated = (c) => byColor.get(c).sat >= 0.22;
+  const lum = (c) => byColor.get(c).lum;
+  const count = (c) => byColor.get(c).count;
+  const usedInProp = (c, name) => byColor.get(c).props.has(name);
+  const usedInSelector = (c, test) => {
+    const sels = byColor.get(c).selectors;
+    if (typeof test === 'string') {
+      return sels.some((s) => {
+        if (selectorAliasesFor(s, opts.selectorAliases).has(test)) return true;
+        const re = new RegExp(`\\b${escRE(test)}\\b`);
+        return re.test(s);
+      });
+    }
+    return sels.some((s) => test.test(s));
+  };
+  const distinct = (a, b) =>
+    a && b ? hslDist(byColor.get(a).hsl, byColor.get(b).hsl) > 0.18 : true;
+  // the two sides of a contrast pair never share a literal (their contrast would be 1)
+  const apart = (role) => (c) =>
+    CONTRAST_PAIRS.every(([fg, bg]) => c !== (fg === role ? roles[bg] : bg === role ? roles[fg] : null));
+
+  // a `roleScorers` function gets the color, its stats and the built-in score, and returns the score to use
+  const score = (role, builtin) => {
+    const custom = (opts.roleScorers || {})[role.replace('--color-', '')];
+    if (!custom) return builtin;
+    return (c) => {
+      const n = byColor.get(c);
+      const info = {
+        count: n.count,
+        luminance: n.lum,
+        saturation: n.sat,
+        hue: n.hsl.h,
+        properties: [...n.props.keys()],
+        selectors: n.selectors,
+      };
+      return custom(c, info, builtin(c));
+    };
+  };
+
+  roles['--color-fg'] =
+    pickBest(
+      palette.filter((c) => isGrayish(c)),
+      score('--color-fg', (c) => {
+        let s = 0;
+        s += (1 - lum(c)) * 2.0;
+        s += Math.log1p(count(c)) * 0.4;
+        if (usedInProp(c, 'color')) s += 1.0;
+        if (usedInSelector(c, 'body')) s += 2.0;
+        return s;
+      })
+    ) || pickBest(palette, (c) => 1 - lum(c) + Math.log1p(count(c)) * 0.3);
+
+  roles['--color-bg'] = pickBest(
+    palette.filter(apart('--color-bg')),
+    score('--color-bg', (c) => {
+      let s = 0;
+      s += lum(c) * 2.0;
+      s += Math.log1p(count(c)) * 0.3;
+      if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.7;
+      if (usedInSelector(c, 'body')) s += 2.0;
+      return s;
+    }),
+    used
+  );
+
+  roles['--color-primary'] = pickBest(
+    palette.filter((c) => isSaturated(c) && apart('--color-primary')(c)),
+    score('--color-primary', (c) => {
+      let s = 0;
+      s += byColor.get(c).sat * 2.0;
+      s += Math.log1p(count(c)) * 0.4;
+      if (usedInSelector(c, /\ba\b|button|\.button|:hover/i)) s += 1.5;
+      if (
+        usedInProp(c, 'color') ||
+        usedInProp(c, 'background') ||
+        usedInProp(c, 'border') ||
+        usedInProp(c, 'border-color')
+      )
+        s += 0.7;
+      const L = lum(c);
+      s += L > 0.2 && L < 0.9 ? 0.3 : -0.2;
+      return s;
+    }),
+    used
+  );
+
+  roles['--color-secondary'] = pickBest(
+    palette.filter((c) => isSaturated(c) && distinct(c, roles['--color-primary'])),
+    score('--color-secondary', (c) => byColor.get(c).sat + Math.log1p(count(c)) * 0.3),
+    used
+  );
+
+  roles['--color-accent'] = pickBest(
+    palette.filter(
+      (c) =>
+        isSaturated(c) &&
+        distinct(c, roles['--color-primary']) &&
+        distinct(c, roles['--color-secondary'])
+    ),
+    score('--color-accent', (c) => byColor.get(c).sat + Math.log1p(count(c)) * 0.25),
+    used
+  );
+
+  roles['--color-border'] = pickBest(
+    palette.filter((c) => isGrayish(c)),
+    score('--color-border', (c) => {
+      let s = 0;
+      s += (1 - Math.abs(lum(c) - 0.88)) * 1.5;
+      if (usedInProp(c, 'border') || usedInProp(c, 'border-color')) s += 1.0;
+      s += Math.log1p(count(c)) * 0.2;
+      return s;
+    }),
+    used
+  );
+
+  roles['--color-surface-1'] = pickBest(
+    palette.filter((c) => isGrayish(c) && apart('--color-surface-1')(c)),
+    score('--color-surface-1', (c) => {
+      let s = 0;
+      s += (1 - Math.abs(lum(c) - 0.96)) * 1.4;
+      if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.6;
+      s += Math.log1p(count(c)) * 0.2;
+      return s;
+    }),
+    used
+  );
+
+  roles['--color-surface-2'] = pickBest(
+    palette.filter((c) => isGrayish(c)),
+    score('--color-surface-2', (c) => {
+      let s = 0;
+      s += (1 - Math.abs(lum(c) - 0.9)) * 1.2;
+      if (usedInProp(c, 'background') || usedInProp(c, 'background-color')) s += 0.5;
+      s += Math.log1p(count(c)) * 0.2;
+      return s;
+    }),
+    used
+  );
+
+  roles['--color-outline'] =
+    pickBest(
+      palette,
+      score('--color-outline', (c) => {
+        let s = 0;
+        if (usedInProp(c, 'outline')) s += 2.0;
+        if (usedInSelector(c, /focus|:focus|skip-link|screen-reader/)) s += 1.0;
+        s += isGrayish(c) ? 0.3 : 0;
+        s -= Math.abs(lum(c) - 0.75);
+        return s;
+      }),
+      used
+    ) || roles['--color-border'];
+
+  roles['--color-muted'] = pickBest(
+    palette.filter((c) => isGrayish(c) && apart('--color-muted')(c)),
+    score('--color-muted', (c) => {
+      const L = lum(c);
+      return 1 - Math.abs(L - 0.5) + Math.log1p(count(c)) * 0.1;
+    }),
+    used
+  );
+
+  roles['--color-disabled'] =
+    pickBest(
+      palette.filter((c) => isGrayish(c)),
+      score('--color-disabled', (c) => {
+        let s = 0;
+        const L = lum(c);
+        if (usedInSelector(c, /disabled/)) s += 1.5;
+        s += 1 - Math.abs(L - 0.6);
+        return s;
+      }),
+      used
+    ) || roles['--color-muted'];
+
+  // seeded role names keep their value; the picker's own choice for that role is numbered
+  for (const [lit, name] of roleSeeds) {
+    if (roleSeeds.get(roles[name]) !== name) roles[name] = lit;
+  }
+
+  /* Remaining colors > scale steps (--palette) or numbered vars */
+  const semanticMap = new Map(); // color > var
+  for (const [varName, colorLit] of Object.entries(roles)) {
+    if (colorLit) semanticMap.set(colorLit, varName);
+  }
+  const { palettes, snapped } = opts.palette
+    ? buildPalettes(roles, palette.filter((c) => !semanticMap.has(c)), opts.mergeColors ?? PALETTE_SNAP_DELTA_E)
+    : { palettes: {}, snapped: new Map() };
+  const remainingColors = [...byColor.keys()]
+    .filter((c) => !semanticMap.has(c) && !snapped.has(c) && !seededColors.has(c) && !roleSeeds.has(c))
+    .sort((a, b) => byColor.get(b).count - byColor.get(a).count || a.localeCompare(b));
+  const numericColorMap = new Map();
+  let n = 0;
+  for (const c of remainingColors) {
+    let name;
+    do name = `--c${String(++n).padStart(2, '0')}`;
+    while (seeds.names.has(name)); // numbers owned by seed colors stay theirs
+    numericColorMap.set(c, name);
+  }
+  const colorToVar = new Map([
+    ...roleSeeds.entries(), // other spellings of a seeded role's value
+    ...semanticMap.entries(),
+    ...seededColors.entries(),
+    ...snapped.entries(),
+    ...numericColorMap.entries(),
+  ]); // color > variable
+
+  return {
+    roles,
+    semanticMap,
+    seededColors,
+    numericColorMap,
+    remainingColors,
+    colorToVar,
+    palettes,
+    snapped,
+  };
+}
+
+/**
+ * Build a 50–950 tonal scale for each saturated role (`PALETTE_ROLES`).
+ * Steps are spaced evenly in OKLCH lightness (0.97 > 0.27) at the role's hue;
+ * chroma follows the role's and tapers towards white and black, then is
+ * gamut-mapped. The step nearest the role's own lightness is the role color
+ * itself. Other literals of the same hue family (within 15°, chroma ≥ 0.04,
+ * opaque) snap to their nearest step (CIEDE2000) when it is within `threshold`.
+ *
+ * @param {Object<string,string|null>} roles Role var > color literal.
+ * @param {string[]} candidates Non-role literals that may snap to a step.
+ * @param {number} threshold Largest ΔE a literal is moved by.
+ * @returns {{palettes:Object<string, {step:number, name:string, rgba:object}[]>, snapped:Map<string,string>}}
+ *   Role var > steps, and literal > step var.
+ */
+function buildPalettes(roles, candidates, threshold) {
+  const palettes = {};
+  const families = [];
+  for (const role of PALETTE_ROLES) {
+    const rgba = roles[role] && toRgba(roles[role]);
+    if (!rgba) continue;
+    const [L0, C0, H] = rgbaToOklch(rgba);
+    if (C0 < 0.04) continue; // a gray picked for lack of saturated colors
+    const bell = (L) => 4 * L * (1 - L);
+    const lightness = PALETTE_STEPS.map((_, i) => 0.97 - (i * 0.7) / (PALETTE_STEPS.length - 1));
+    const anchor = lightness.reduce((best, L, i) =>
+      Math.abs(L - L0) < Math.abs(lightness[best] - L0) ? i : best, 0);
+    palettes[role] = PALETTE_STEPS.map((step, i) => ({
+      step,
+      name: `${role}-${step}`,
+      rgba:
+        i === anchor
+          ? rgba
+          : oklchToRgba([lightness[i], Math.min(C0, (C0 * bell(lightness[i])) / bell(L0)), H]),
+    }));
+    families.push({ role, H });
+  }
+
+  const snapped = new Map();
+  for (const lit of candidates) {
+    const rgba = toRgba(lit);
+    if (!rgba || rgba.a < 1) continue;
+    const [, C, H] = rgbaToOklch(rgba);
+    const hueDiff = (f) => Math.abs(((f.H - H + 540) % 360) - 180);
+    const family = families.filter((f) => hueDiff(f) <= 15).sort((a, b) => hueDiff(a) - hueDiff(b))[0];
+    if (C < 0.04 || !family) continue;
+    const lab = rgbaToLab(rgba);
+    const [nearest] = palettes[family.role]
+      .map((s) => ({ s, d: deltaE2000(lab, rgbaToLab(s.rgba)) }))
+      .sort((a, b) => a.d - b.d);
+    if (nearest.d <= threshold) snapped.set(lit, nearest.s.name);
+  }
+  return { palettes, snapped };
+}
+
+/* ---------------------------------------------------------------
+   DARK PALETTE + CONTRAST
+---------------------------------------------------------------- */
+
+/**
+ * Transform every color variable with the dark-mode algorithm, except those
+ * whose dark value the input decides (see `authoredDarkColors()`).
+ *
+ * @param {object} tokens Output of `pickColorRoles()`.
+ * @param {object} opts Resolved options.
+ * @returns {Map<string, {r:number,g:number,b:number,a:number}|null>} Var > dark RGBA
+ *   (`null` for `currentColor`, which has nothing to invert).
+ */
+function buildDarkColors(tokens, opts) {
+  const authored = authoredDarkColors(tokens, opts);
+  const dark = new Map();
+  for (const v of colorVars(tokens)) {
+    const rgba = toRgba(varToColor(v, tokens) || '#000');
+    dark.set(v, authored.has(v) ? authored.get(v) : rgba && toDark(rgba, opts.algorithm));
+  }
+  // tonal scales flip end to end: dark 50 is light 950
+  for (const steps of Object.values(tokens.palettes)) {
+    steps.forEach((s, i) => dark.set(s.name, steps[steps.length - 1 - i].rgba));
+  }
+  return dark;
+}
+
+/**
+ * Dark values the input sets itself. An input variable keeps its dark
+ * redeclaration (`opts.declaredDark`), or its light value when it has none:
+ * the author's variables get no generated dark value. A role aliasing an
+ * input variable (see `colorEntries()`) follows that variable's redeclaration.
+ *
+ * @param {object} tokens Output of `pickColorRoles()`.
+ * @param {object} opts Resolved options.
+ * @returns {Map<string, {r:number,g:number,b:number,a:number}|null>} Var > dark RGBA.
+ */
+function authoredDarkColors(tokens, opts) {
+  const declared = opts.declaredProps || new Set();
+  const own = opts.declaredDark || new Map();
+  // only a dark value that is a single color literal can stand in for one
+  const rgbaOf = (value) => {
+    const [c] = extractColors(value, 'color');
+    return c && c === value ? toRgba(c) : undefined;
+  };
+  const out = new Map();
+  for (const v of colorVars(tokens)) {
+    const lit = varToColor(v, tokens);
+    const alias = tokens.roles[v] && tokens.seededColors.get(lit);
+    const source = declared.has(v) ? v : declared.has(alias) ? alias : null;
+    const rgba = own.has(source) ? rgbaOf(own.get(source)) : undefined;
+    if (rgba !== undefined) out.set(v, rgba);
+    else if (source === v) out.set(v, toRgba(lit || '#000'));
+  }
+  return out;
+}
+
+/**
+ * Measure `CONTRAST_PAIRS` in both themes and nudge the dark foreground
+ * (then, if that is not enough, the dark background) along OKLCH lightness
+ * until the target is met. Light values, and dark values the input sets itself
+ * (`authoredDarkColors()`), are the author's and are never changed.
+ * Pairs share roles, so fixing one can break another: the pairs are swept
+ * again until a sweep changes nothing (at most `CONTRAST_SWEEPS` times) and
+ * all of them are measured afresh at the end. Updates `tokens.darkColors` in place.
+ *
+ * @param {object} tokens Token tables including `darkColors`.
+ * @param {object} opts Resolved options.
+ * @returns {{method:string, target:number, adjusted:string[], pairs:object[], failures:object[]}}
+ *   Per-pair report in both themes; `failures` lists the dark pairs still below target.
+ */
+function balanceContrast(tokens, opts) {
+  const { roles, darkColors } = tokens;
+  const method = opts.contrastMethod === 'apca' ? 'apca' : 'wcag';
+  const target = opts.contrastTarget ?? (method === 'apca' ? 60 : 4.5);
+  const measure = (fg, bg) =>
+    method === 'apca' ? Math.abs(apcaContrast(fg, bg)) : wcagContrast(fg, bg);
+  const light = (v) => toRgba(varToColor(v, tokens) || '#000');
+  const pairs = CONTRAST_PAIRS.filter(([fg, bg]) => roles[fg] && roles[bg]);
+  const authored = authoredDarkColors(tokens, opts);
+  const adjusted = new Set();
+
+  for (let sweep = 0, changed = true; changed && sweep < CONTRAST_SWEEPS; sweep++) {
+    changed = false;
+    for (const [fg, bg] of pairs) {
+      const before = [darkColors.get(fg), darkColors.get(bg)];
+      if (measure(...before) >= target || (authored.has(fg) && authored.has(bg))) continue;
+      const fgOut = authored.has(fg)
+        ? before[0]
+        : nudgeLightness(before[0], before[1], (c) => measure(c, before[1]), target);
+      const bgOut =
+        authored.has(bg) || measure(fgOut, before[1]) >= target
+          ? before[1]
+          : nudgeLightness(before[1], fgOut, (c) => measure(fgOut, c), target);
+      darkColors.set(fg, fgOut);
+      darkColors.set(bg, bgOut);
+      if (fgOut !== before[0]) adjusted.add(fg);
+      if (bgOut !== before[1]) adjusted.add(bg);
+      changed = changed || fgOut !== before[0] || bgOut !== before[1];
+    }
+  }
+
+  const report = pairs.map(([fg, bg]) => {
+    const l = measure(light(fg), light(bg));
+    const d = measure(darkColors.get(fg), darkColors.get(bg));
+    return { fg, bg, light: round(l, 2), dark: round(d, 2), pass: { light: l >= target, dark: d >= target } };
+  });
+  return {
+    method,
+    target,
+    adjusted: [...adjusted],
+    pairs: report,
+    failures: report.filter((p) => !p.pass.dark),
+  };
+}
+
+/* ---------------------------------------------------------------
+   FONT / SPACING / BORDERS / RADII / SHADOWS / MOTION / BREAKPOINTS
+---------------------------------------------------------------- */
+
+/**
+ * Order every non-color candidate group and give each literal a variable name.
+ * With `scale`, font sizes and spacing are named by their position on the
+ * detected type scale / spacing grid instead (see `fontSizeScale()`); with
+ * `naming: 'semantic'`, sizes, radii, shadows and weights by magnitude (see
+ * `semanticNames()`).
+ *
+ * @param {Object<string, Map<string, object>>} candidates Output of `collectCandidates()`.
+ * @param {object} opts Resolved options.
+ * @returns {Object<string, string[]|Map<string,string>>} `*Order` arrays, `*Map` literal > var maps
+ *   and the detected `scale` (null without the option).
+ */
+function assignScaleNames(candidates, opts) {
+  const {
+    byLength,
+    byBorderWidth,
+    byRadius,
+    byShadow,
+    byDuration,
+    byEase,
+    byFontSize,
+    byLineHeight,
+    byFontWeight,
+    byLetterSpacing,
+    byFontFamily,
+    fsLineHeights,
+    byBreakpoint,
+  } = candidates;
+  const { features, units, stableNames } = opts;
+  const semantic = opts.naming === 'semantic';
+
+  // Fonts
+  let ffOrder = [],
+    ffMap = new Map(),
+    fsOrder = [],
+    fsMap = new Map(),
+    lhOrder = [],
+    lhMap = new Map(),
+    fwOrder = [],
+    fwMap = new Map(),
+    lsOrder = [],
+    lsMap = new Map(),
+    typeScale = null;
+
+  if (features.includes('typography')) {
+    const seedFF = seedsFor(opts, 'fontFamily');
+    const nameFF = makeNameFactory(opts.prefixFontFamily, stableNames, seedFF);
+    const nameFS = makeNameFactory(opts.prefixFontSize, stableNames, seedsFor(opts, 'fontSize'));
+    const nameLH = makeNameFactory(opts.prefixLineHeight, stableNames, seedsFor(opts, 'lineHeight'));
+    const nameFW = makeNameFactory(opts.prefixFontWeight, stableNames, seedsFor(opts, 'fontWeight'));
+    const nameLS = makeNameFactory(
+      opts.prefixLetterSpacing,
+      stableNames,
+      seedsFor(opts, 'letterSpacing')
+    );
+
+    // categorize font families based on selector hints
+    const headingRe = /\bh[1-6]\b/i;
+    const bodyRe = /\bbody\b/i;
+    const monoRe = /\b(pre|code|kbd|samp)\b/i;
+    for (const [, data] of byFontFamily) {
+      data.hints = new Set();
+      for (const sel of data.selectors || []) {
+        const aliasHints = selectorAliasesFor(sel, opts.selectorAliases);
+        if (aliasHints.size) {
+          aliasHints.forEach((h) => data.hints.add(h));
+          continue;
+        }
+        if (headingRe.test(sel)) data.hints.add('heading');
+        if (bodyRe.test(sel)) data.hints.add('body');
+        if (monoRe.test(sel)) data.hints.add('monospace');
+      }
+    }
+
+    ffOrder = [...byFontFamily.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+      .map(([k]) => k);
+
+    const semanticFF = {
+      heading: '--font-family-heading',
+      body: '--font-family-body',
+      monospace: '--font-family-monospace',
+    };
+    const usedCats = new Set(Object.keys(semanticFF).filter((cat) => seedFF.names.has(semanticFF[cat])));
+    ffMap = new Map();
+    let genericIdx = 0;
+    for (const fam of ffOrder) {
+      const hints = byFontFamily.get(fam).hints;
+      let vname = seedFF.get(fam);
+      if (!vname && hints) {
+        for (const cat of Object.keys(semanticFF)) {
+          if (hints.has(cat) && !usedCats.has(cat)) {
+            vname = semanticFF[cat];
+            usedCats.add(cat);
+            break;
+          }
+        }
+      }
+      if (!vname) vname = nameFF(fam, genericIdx++);
+      ffMap.set(fam, vname);
+    }
+
+    fsOrder = [...byFontSize.entries()]
+      .sort(
+        (a, b) => b[1].count - a[1].count || lenToPxSafe(b[0], units) - lenToPxSafe(a[0], units)
+      )
+      .map(([k]) => k);
+    fsMap = new Map(fsOrder.map((v, i) => [v, nameFS(v, i)]));
+    typeScale = opts.scale ? fontSizeScale(byFontSize, opts) : null;
+    if (typeScale) ({ order: fsOrder, map: fsMap } = typeScale);
+    else if (semantic) {
+      ({ order: fsOrder, map: fsMap } = semanticNames(fsOrder, opts, {
+        kind: 'fontSize',
+        prefix: opts.prefixFontSize,
+        measure: (lit) => lengthSize(lit, units),
+      }));
+    }
+
+    lhOrder = [...byLineHeight.entries()]
+      .sort(
+        (a, b) =>
+          b[1].count - a[1].count ||
+          lineHeightToFloat(b[0], units) - lineHeightToFloat(a[0], units)
+      )
+      .map(([k]) => k);
+    lhMap = new Map(lhOrder.map((v, i) => [v, nameLH(v, i)]));
+
+    fwOrder = [...byFontWeight.entries()]
+      .sort((a, b) => b[1].count - a[1].count || fontWeightToNum(b[0]) - fontWeightToNum(a[0]))
+      .map(([k]) => k);
+    fwMap = new Map(fwOrder.map((v, i) => [v, nameFW(v, i)]));
+    if (semantic) {
+      ({ order: fwOrder, map: fwMap } = semanticNames(fwOrder, opts, {
+        kind: 'fontWeight',
+        prefix: opts.prefixFontWeight,
+        measure: (lit) => (/^(\d{3}|normal|bold)$/i.test(lit.trim()) ? fontWeightToNum(lit) : null),
+        label: (values) => values.map((v) => FONT_WEIGHT_NAMES[v] || null),
+      }));
+    }
+
+    lsOrder = [...byLetterSpacing.entries()]
+      .sort(
+        (a, b) => b[1].count - a[1].count || lenToPxSafe(b[0], units) - lenToPxSafe(a[0], units)
+      )
+      .map(([k]) => k);
+    lsMap = new Map(lsOrder.map((v, i) => [v, nameLS(v, i)]));
+  }
+
+  // Spacing
+  let spacingOrder = [],
+    spacingMap = new Map(),
+    spacingGrid = null;
+  if (features.includes('spacing')) {
+    const name = makeNameFactory(opts.prefixSpace, stableNames, seedsFor(opts, 'spacing'));
+    spacingOrder = [...byLength.entries()]
+      .sort((a, b) => b[1].count - a[1].count || lenToPx(b[0], units) - lenToPx(a[0], units))
+      .map(([k]) => k);
+    spacingMap = new Map(spacingOrder.map((lit, i) => [lit, name(lit, i)]));
+    spacingGrid = opts.scale ? spacingScale(byLength, opts) : null;
+    if (spacingGrid) ({ order: spacingOrder, map: spacingMap } = spacingGrid);
+    else if (semantic) {
+      ({ order: spacingOrder, map: spacingMap } = semanticNames(spacingOrder, opts, {
+        kind: 'spacing',
+        prefix: opts.prefixSpace,
+        measure: (lit) => lengthSize(lit, units),
+      }));
+    }
+  }
+
+  // Borders
+  let borderWidthOrder = [],
+    borderWidthMap = new Map();
+  if (features.includes('borders')) {
+    const name = makeNameFactory('border-width', stableNames, seedsFor(opts, 'borderWidth'));
+    borderWidthOrder = [...byBorderWidth.entries()]
+      .sort((a, b) => b[1].count - a[1].count || lenToPx(a[0], units) - lenToPx(b[0], units))
+      .map(([k]) => k);
+    borderWidthMap = new Map(borderWidthOrder.map((w, i) => [w, name(w, i)]));
+  }
+
+  // Radius
+  let radiusOrder = [],
+    radiusMap = new Map();
+  if (features.includes('radius')) {
+    const name = makeNameFactory('radius', stableNames, seedsFor(opts, 'radius'));
+    radiusOrder = [...byRadius.entries()]
+      .sort((a, b) => b[1].count - a[1].count || lenToPx(a[0], units) - lenToPx(b[0], units))
+      .map(([k]) => k);
+    radiusMap = new Map(radiusOrder.map((r, i) => [r, name(r, i)]));
+    if (semantic) {
+      ({ order: radiusOrder, map: radiusMap } = semanticNames(radiusOrder, opts, {
+        kind: 'radius',
+        prefix: 'radius',
+        measure: (lit) => lengthSize(lit, units),
+      }));
+    }
+  }
+
+  // Shadows
+  let shadowOrder = [],
+    shadowMap = new Map();
+  if (features.includes('shadows')) {
+    const name = makeNameFactory(opts.prefixShadow, stableNames, seedsFor(opts, 'shadow'));
+    shadowOrder = [...byShadow.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+      .map(([k]) => k);
+    shadowMap = new Map(shadowOrder.map((s, i) => [s, name(s, i)]));
+    if (semantic) {
+      ({ order: shadowOrder, map: shadowMap } = semanticNames(shadowOrder, opts, {
+        kind: 'shadow',
+        prefix: opts.prefixShadow,
+        measure: (lit) => shadowSize(lit, units),
+      }));
+    }
+  }
+
+  // Motion
+  let durOrder = [],
+    durationMap = new Map();
+  let easeOrder = [],
+    easeMap = new Map();
+  if (features.includes('motion')) {
+    const nameDur = makeNameFactory(opts.prefixDuration, stableNames, seedsFor(opts, 'duration'));
+    const nameEase = makeNameFactory(opts.prefixEase, stableNames, seedsFor(opts, 'ease'));
+    durOrder = [...byDuration.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[1].ms - b[1].ms)
+      .map(([k]) => k);
+    durationMap = new Map(durOrder.map((d, i) => [d, nameDur(d, i)]));
+    easeOrder = [...byEase.entries()]
+      .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
+      .map(([k]) => k);
+    easeMap = new Map(easeOrder.map((e, i) => [e, nameEase(e, i)]));
+  }
+
+  // Breakpoints (ascending, named after the closest reference width)
+  let bpOrder = [],
+    bpMap = new Map();
+  if (features.includes('breakpoints')) {
+    ({ bpOrder, bpMap } = nameBreakpoints(byBreakpoint, opts.prefixBreakpoint));
+  }
+
+  // Font size > the tokenized line-height it is most often paired with
+  const fsLineHeight = new Map();
+  for (const fs of fsOrder) {
+    const best = [...(fsLineHeights.get(fs) || [])]
+      .filter(([lh]) => lhMap.has(lh))
+      .sort((a, b) => b[1] - a[1] || lhOrder.indexOf(a[0]) - lhOrder.indexOf(b[0]))[0];
+    if (best) fsLineHeight.set(fs, best[0]);
+  }
+
+  return {
+    ffOrder,
+    ffMap,
+    fsOrder,
+    fsMap,
+    lhOrder,
+    lhMap,
+    fwOrder,
+    fwMap,
+    lsOrder,
+    lsMap,
+    spacingOrder,
+    spacingMap,
+    borderWidthOrder,
+    borderWidthMap,
+    radiusOrder,
+    radiusMap,
+    shadowOrder,
+    shadowMap,
+    durOrder,
+    durationMap,
+    easeOrder,
+    easeMap,
+    bpOrder,
+    bpMap,
+    fsLineHeight,
+    scale: opts.scale ? { fontSizes: typeScale, spacing: spacingGrid } : null,
+  };
+}
+
+/* ---------------------------------------------------------------
+   MODULAR SCALE + SPACING GRID
+---------------------------------------------------------------- */
+
+/** Type scale ratios tried by `scale`, tightest first. */
+const SCALE_RATIOS = [
+  ['minor-second', 1.067],
+  ['major-second', 1.125],
+  ['minor-third', 1.2],
+  ['major-third', 1.25],
+  ['perfect-fourth', 1.333],
+  ['augmented-fourth', 1.414],
+  ['perfect-fifth', 1.5],
+  ['golden', 1.618],
+];
+const SCALE_TOLERANCE = 0.03; // a font size within 3% of a step sits on the scale
+const SPACING_GRIDS = [8, 4]; // px, coarsest first
+const GRID_FIT = 0.75; // share of spacing uses that must fall on the grid
+
+/**
+ * Detect the modular type scale behind the font sizes and name each size by
+ * its step: `--fs-base`, then `lg`, `xl`, `2xl`… upwards and `sm`, `xs`,
+ * `2xs`… downwards. The base is the most used size; the ratio is the one from
+ * SCALE_RATIOS whose steps catch the most uses beyond what its density would
+ * catch by chance, with few unused steps between them. Sizes off the scale
+ * keep frequency numbers (`--fs-1`) unless `snap` moves them onto the nearest
+ * step.
+ *
+ * @param {Map<string, {count:number}>} byFontSize Font size literal > stats.
+ * @param {object} opts Resolved options.
+ * @returns {{name:string, ratio:number, base:string, order:string[], map:Map<string,string>, snapped:Map<string,string>}|null}
+ *   Ratio, base literal and names, or null when no ratio fits.
+ */
+function fontSizeScale(byFontSize, opts) {
+  const { units } = opts;
+  const items = scaleItems(byFontSize, units);
+  const uses = new Map(); // px > count
+  for (const { px, count } of items) if (px > 0) uses.set(px, (uses.get(px) || 0) + count);
+  if (uses.size < 3) return null;
+  const [[base]] = [...uses].sort(
+    (a, b) => b[1] - a[1] || Math.abs(a[0] - units.rootPx) - Math.abs(b[0] - units.rootPx)
+  );
+  const others = [...uses].filter(([px]) => px !== base);
+  const total = others.reduce((n, [, count]) => n + count, 0);
+  const tol = Math.log(1 + SCALE_TOLERANCE);
+  let best = null;
+  for (const [name, ratio] of SCALE_RATIOS) {
+    const step = Math.log(ratio);
+    const hits = others.filter(([px]) => {
+      const k = Math.log(px / base) / step;
+      return Math.abs(k - Math.round(k)) * step <= tol;
+    });
+    const steps = [0, ...hits.map(([px]) => Math.round(Math.log(px / base) / step))];
+    // a tight ratio has a step near almost any size, so only hits beyond that chance count,
+    // and a real scale uses neighbouring steps rather than a few far apart
+    const excess = hits.reduce((n, [, count]) => n + count, 0) - total * Math.min(1, (2 * tol) / step);
+    const score = (excess * steps.length) / (Math.max(...steps) - Math.min(...steps) + 1);
+    if (hits.length >= 2 && score >= 1 && (!best || score > best.score)) best = { name, ratio, score };
+  }
+  if (!best) return null;
+
+  const step = Math.log(best.ratio);
+  const numbered = makeNameFactory(opts.prefixFontSize, opts.stableNames, seedsFor(opts, 'fontSize'));
+  const named = nameByPosition(items, opts, {
+    kind: 'fontSize',
+    prefix: opts.prefixFontSize,
+    tolerance: SCALE_TOLERANCE,
+    nearest: (px) => {
+      const k = Math.round(Math.log(px / base) / step);
+      return { step: k, px: base * best.ratio ** k };
+    },
+    stepName: (k) => tshirtName(k, 'base'),
+    offName: (item, i) => numbered(item.lit, i),
+  });
+  return { name: best.name, ratio: best.ratio, base: items.find((s) => s.px === base).lit, ...named };
+}
+
+/**
+ * Detect the spacing grid (the coarsest of SPACING_GRIDS that GRID_FIT of the
+ * spacing uses are multiples of) and name each length by its multiple:
+ * `--space-2` is 8px on a 4px grid. Lengths off the grid are named by their
+ * fractional position (`--space-1_5`), negative ones `--space-neg-2`, and
+ * percentages/viewport units by their value (`--space-50pct`), unless `snap`
+ * moves them onto the nearest multiple.
+ *
+ * @param {Map<string, {count:number}>} byLength Spacing literal > stats.
+ * @param {object} opts Resolved options.
+ * @returns {{grid:number, order:string[], map:Map<string,string>, snapped:Map<string,string>}|null}
+ *   Grid size in px and names, or null when no grid fits.
+ */
+function spacingScale(byLength, opts) {
+  const items = scaleItems(byLength, opts.units);
+  const sized = items.filter((s) => s.px > 0);
+  const total = sized.reduce((n, s) => n + s.count, 0);
+  const onGrid = (px, g) => Math.abs(px / g - Math.round(px / g)) < 1e-6;
+  const grid =
+    total &&
+    SPACING_GRIDS.find(
+      (g) => sized.filter((s) => onGrid(s.px, g)).reduce((n, s) => n + s.count, 0) / total >= GRID_FIT
+    );
+  if (!grid) return null;
+
+  const label = (n) => `${n < 0 ? 'neg-' : ''}${stripZero(round(Math.abs(n), 2)).replace('.', '_')}`;
+  const named = nameByPosition(items, opts, {
+    kind: 'spacing',
+    prefix: opts.prefixSpace,
+    tolerance: 0,
+    nearest: (px) => {
+      const m = Math.max(1, Math.round(px / grid));
+      return { step: m, px: m * grid };
+    },
+    stepName: label,
+    offName: ({ lit, px }) => {
+      if (px !== null) return `--${opts.prefixSpace}-${label(px / grid)}`;
+      const [, n, unit] = lit.match(/^(-?\d*\.?\d+)(\D+)$/);
+      return `--${opts.prefixSpace}-${label(parseFloat(n))}${unit === '%' ? 'pct' : unit}`;
+    },
+  });
+  return { grid, ...named };
+}
+
+/**
+ * Shared naming for `fontSizeScale()` and `spacingScale()`. The most used
+ * literal within `tolerance` of a step owns the step name; literals of the
+ * same size share it; the rest snap to their nearest step when it is within
+ * `opts.snap` (a step nothing used yet gets its exact size as a new literal)
+ * or take `offName()`. Seed names always win.
+ *
+ * @param {{lit:string, count:number, px:number|null}[]} items Literals, most used first.
+ * @param {object} opts Resolved options.
+ * @param {object} scale `kind`/`prefix` of the group, `tolerance`, `nearest(px)` > `{step, px}`,
+ *   `stepName(step)` and `offName(item, i)`.
+ * @returns {{order:string[], map:Map<string,string>, snapped:Map<string,string>}}
+ *   Literals ascending by size, literal > name (aliases first), moved literal > name.
+ */
+function nameByPosition(items, opts, { kind, prefix, tolerance, nearest, stepName, offName }) {
+  const seeds = seedsFor(opts, kind);
+  const claim = nameClaimer(seeds.names);
+  const names = new Map(); // literal > name
+  const pxOf = new Map(items.map((s) => [s.lit, s.px]));
+  const sameSize = new Map(); // px > first literal of that size
+  const aliases = new Map(); // literal > literal of the same size
+  const owners = new Map(); // step > literal
+  const rest = [];
+  for (const item of items) {
+    const seeded = seeds.get(item.lit);
+    const same = item.px === null ? null : sameSize.get(item.px);
+    if (same && (!seeded || names.get(same) === seeded)) {
+      aliases.set(item.lit, same);
+      continue;
+    }
+    if (!same && item.px !== null) sameSize.set(item.px, item.lit);
+    const at = item.px > 0 ? nearest(item.px) : null;
+    const onScale = !!at && Math.abs(item.px / at.px - 1) <= tolerance + 1e-9 && !owners.has(at.step);
+    if (onScale) owners.set(at.step, item.lit);
+    if (seeded) names.set(item.lit, seeded);
+    else if (onScale) names.set(item.lit, claim(`--${prefix}-${stepName(at.step)}`));
+    else rest.push({ ...item, at });
+  }
+
+  const snapped = new Map();
+  let off = 0;
+  for (const item of rest) {
+    if (!item.at || opts.snap == null || Math.abs(item.px / item.at.px - 1) > opts.snap) {
+      names.set(item.lit, offName(item, off++));
+      continue;
+    }
+    let owner = owners.get(item.at.step);
+    if (!owner) {
+      owner = `${stripZero(round(item.at.px, 2))}px`;
+      owners.set(item.at.step, owner);
+      pxOf.set(owner, item.at.px);
+      names.set(owner, claim(`--${prefix}-${stepName(item.at.step)}`));
+    }
+    snapped.set(item.lit, names.get(owner));
+  }
+  for (const [lit, same] of aliases) if (snapped.has(same)) snapped.set(lit, snapped.get(same));
+
+  // by size; keywords and other unplaceable literals keep their frequency order at the end
+  const order = [...names.keys()].sort(
+    (a, b) => (pxOf.get(a) === null) - (pxOf.get(b) === null) || (pxOf.get(a) || 0) - (pxOf.get(b) || 0)
+  );
+  // members before the step literal, so name > literal views (manifest, DTCG) show the step's own value
+  const map = new Map([
+    ...[...aliases].filter(([lit]) => !snapped.has(lit)).map(([lit, same]) => [lit, names.get(same)]),
+    ...snapped,
+    ...order.map((lit) => [lit, names.get(lit)]),
+  ]);
+  return { order, map, snapped };
+}
+
+/**
+ * Literals of a candidate group with their px size (null for units that don't
+ * convert), most used first.
+ *
+ * @param {Map<string, {count:number}>} byLiteral Literal > stats.
+ * @param {object} units Unit bases from the resolved options.
+ * @returns {{lit:string, count:number, px:number|null}[]} Sized literals.
+ */
+function scaleItems(byLiteral, units) {
+  return [...byLiteral]
+    .map(([lit, { count }]) => ({
+      lit,
+      count,
+      px: /^-?\d*\.?\d+(px|rem|em)$/i.test(lit) ? round(lenToPxSafe(lit, units), 2) : null,
+    }))
+    .sort((a, b) => b.count - a.count || a.lit.localeCompare(b.lit));
+}
+
+/**
+ * T-shirt name of a step relative to the middle of a scale (0).
+ *
+ * @param {number} k Step index.
+ * @param {string} [middle='md'] Name of step 0.
+ * @returns {string} `md`, `lg`, `xl`, `2xl`… or `sm`, `xs`, `2xs`…
+ */
+function tshirtName(k, middle = 'md') {
+  const n = Math.abs(k);
+  if (n === 0) return middle;
+  if (n === 1) return k > 0 ? 'lg' : 'sm';
+  const size = k > 0 ? 'xl' : 'xs';
+  return n === 2 ? size : `${n - 1}${size}`;
+}
+
+/* ---------------------------------------------------------------
+   SEMANTIC NAMES
+---------------------------------------------------------------- */
+
+/** `naming: 'semantic'` names of the numeric font weights. */
+const FONT_WEIGHT_NAMES = {
+  100: 'thin',
+  200: 'extralight',
+  300: 'light',
+  400: 'regular',
+  500: 'medium',
+  600: 'semibold',
+  700: 'bold',
+  800: 'extrabold',
+  900: 'black',
+};
+
+/**
+ * Name a group by magnitude for `naming: 'semantic'`. Measurable literals are
+ * sorted smallest first and each distinct size is labelled by `label()`
+ * (t-shirt sizes centred on `md` by default: `sm`, `md`, `lg` for three);
+ * literals of the same size share a name. Literals that can't be measured or
+ * labelled keep the usual numbered (or, with `stableNames`, hashed) names.
+ * Seed names win, and a label already taken gets a `-2`, `-3`… suffix, so
+ * names never collide.
+ *
+ * @param {string[]} order Group literals, most used first.
+ * @param {object} opts Resolved options.
+ * @param {object} group `kind` (see `seedsFor()`), `prefix`, `measure(lit)` > number|null and
+ *   optionally `label(values)` > label|null per sorted value.
+ * @returns {{order:string[], map:Map<string,string>}} Literals smallest first and their names.
+ */
+function semanticNames(order, opts, { kind, prefix, measure, label = tshirtLabels }) {
+  const seeds = seedsFor(opts, kind);
+  const claim = nameClaimer(seeds.names);
+  const numbered = makeNameFactory(prefix, opts.stableNames, seeds);
+  const measured = order
+    .map((lit) => ({ lit, value: measure(lit) }))
+    .filter((m) => m.value !== null && Number.isFinite(m.value))
+    .sort((a, b) => a.value - b.value); // stable: equal sizes stay most used first
+  const sizes = [...new Set(measured.map((m) => m.value))];
+  const labels = label(sizes);
+  const named = new Map();
+  const aliases = new Map(); // literal > name of the most used literal of the same size
+  const bySize = new Map();
+  for (const { lit, value } of measured) {
+    const seeded = seeds.get(lit);
+    const tag = labels[sizes.indexOf(value)];
+    if (bySize.has(value) && (!seeded || bySize.get(value) === seeded)) aliases.set(lit, bySize.get(value));
+    else if (tag) {
+      named.set(lit, seeded || claim(`--${prefix}-${tag}`));
+      if (!bySize.has(value)) bySize.set(value, named.get(lit));
+    }
+  }
+  let n = 0;
+  for (const lit of order) if (!named.has(lit) && !aliases.has(lit)) named.set(lit, numbered(lit, n++));
+  // aliases first, so name > literal views (manifest, DTCG) show the most used literal
+  return { order: [...named.keys()], map: new Map([...aliases, ...named]) };
+}
+
+/**
+ * T-shirt labels for sorted sizes, centred on `md`.
+ *
+ * @param {number[]} values Sizes, smallest first.
+ * @returns {string[]} One label per size.
+ */
+function tshirtLabels(values) {
+  const first = -Math.floor((values.length - 1) / 2);
+  return values.map((_, i) => tshirtName(first + i));
+}
+
+/**
+ * Size of a single `px`/`rem`/`em` length for semantic ordering; negative
+ * lengths, other units and multi-value literals can't be placed.
+ *
+ * @param {string} lit Literal to measure.
+ * @param {object} units Unit bases from the resolved options.
+ * @returns {number|null} Size in px.
+ */
+function lengthSize(lit, units) {
+  return /^\d*\.?\d+(px|rem|em)$/i.test(lit.trim()) ? lenToPxSafe(lit, units) : null;
+}
+
+/**
+ * Elevation of a box-shadow for semantic ordering: the largest blur plus
+ * vertical offset over its layers.
+ *
+ * @param {string} lit Shadow literal.
+ * @param {object} units Unit bases from the resolved options.
+ * @returns {number|null} Size in px, null for `none` and unparsable shadows.
+ */
+function shadowSize(lit, units) {
+  let size = null;
+  for (const layer of splitTopLevel(lit, ',')) {
+    const lens = splitTopLevel(layer.trim(), ' ').filter((p) => /^-?\d*\.?\d+(px|rem|em)?$/i.test(p));
+    if (lens.length < 2) return null;
+    const [, y, blur = 0] = lens.map((p) => lenToPxSafe(p, units));
+    size = Math.max(size === null ? -Infinity : size, blur + Math.abs(y));
+  }
+  return size;
+}
+
+/* ---------------------------------------------------------------
+   CUSTOM NAMES (nameToken)
+---------------------------------------------------------------- */
+
+/** Name maps `nameToken` may rename and the `kind` it is told; roles, palettes and responsive tokens keep theirs. */
+const RENAMABLE_MAPS = [
+  ['numericColorMap', 'color'],
+  ['ffMap', 'fontFamily'],
+  ['fsMap', 'fontSize'],
+  ['lhMap', 'lineHeight'],
+  ['fwMap', 'fontWeight'],
+  ['lsMap', 'letterSpacing'],
+  ['spacingMap', 'spacing'],
+  ['borderWidthMap', 'borderWidth'],
+  ['radiusMap', 'radius'],
+  ['shadowMap', 'shadow'],
+  ['durationMap', 'duration'],
+  ['easeMap', 'ease'],
+  ['bpMap', 'breakpoint'],
+];
+
+/**
+ * Every variable name in the token tables except responsive tokens: roles,
+ * seeded and numbered colors, palette steps and the scale maps.
+ *
+ * @param {object} tokens Token tables.
+ * @returns {Set<string>} Variable names.
+ */
+function tokenNames(tokens) {
+  return new Set([
+    ...Object.keys(tokens.roles),
+    ...tokens.colorToVar.values(),
+    ...Object.values(tokens.palettes).flatMap((steps) => steps.map((step) => step.name)),
+    ...RENAMABLE_MAPS.flatMap(([key]) => [...tokens[key].values()]),
+  ]);
+}
+
+/**
+ * Give responsive tokens that share a name with another token a numeric
+ * suffix. They are found before the scales are named, so `findResponsive()`
+ * can only avoid the input's own variables.
+ *
+ * @param {object} tokens Token tables (`responsive` names changed in place).
+ * @returns {void}
+ */
+function separateResponsiveNames(tokens) {
+  const named = tokenNames(tokens);
+  const taken = new Set([...named, ...tokens.responsive.map((t) => t.name)]);
+  for (const token of tokens.responsive) {
+    if (!named.has(token.name)) continue;
+    let n = 2;
+    while (taken.has(`${token.name}-${n}`)) n++;
+    token.name = `${token.name}-${n}`;
+    taken.add(token.name);
+  }
+}
+
+// scales whose seeds match by pixel value: [order key, map key, SEED_KINDS key]
+const SEED_SPELLED_SCALES = [
+  ['fsOrder', 'fsMap', 'fontSize'],
+  ['spacingOrder', 'spacingMap', 'spacing'],
+  ['borderWidthOrder', 'borderWidthMap', 'borderWidth'],
+  ['radiusOrder', 'radiusMap', 'radius'],
+  ['shadowOrder', 'shadowMap', 'shadow'],
+];
+
+/**
+ * Write seeded tokens with the seed's own spelling: a seed `--fs-hero: 1.5rem`
+ * that matched `font-size: 24px` by pixel value stays `1.5rem`. The order
+ * lists take the seed value (once, however many literals matched it) and the
+ * maps gain it as a key, so input literals still rewrite to the seed name.
+ * Fluid tokens keep their `clamp()`.
+ *
+ * @param {object} tokens Token tables (changed in place).
+ * @param {object} opts Resolved options.
+ * @returns {void}
+ */
+function keepSeedSpelling(tokens, opts) {
+  const seedValues = new Map(opts.seedTokens.map((t) => [t.name, t.value]));
+  for (const [orderKey, mapKey] of SEED_SPELLED_SCALES) {
+    const map = tokens[mapKey];
+    const order = tokens[orderKey].map((lit) => {
+      const seeded = seedValues.get(map.get(lit));
+      if (seeded == null || tokens.fluid.scale.has(lit)) return lit;
+      map.set(seeded, map.get(lit));
+      return seeded;
+    });
+    tokens[orderKey] = [...new Set(order)];
+  }
+}
+
+/**
+ * Pass every generated name through the `nameToken` option:
+ * `nameToken(name, { kind, value })` returns the new name (the leading `--` is
+ * optional) or nothing to keep it. Seeded and input-declared names are never
+ * offered.
+ *
+ * @param {object} tokens Token tables (changed in place).
+ * @param {object} opts Resolved options.
+ * @returns {void}
+ * @throws {Error} When a returned name is not a custom property name or is already taken.
+ */
+function renameTokens(tokens, opts) {
+  const seeded = new Set(opts.seedTokens.map((t) => t.name));
+  const taken = new Set([...tokenNames(tokens), ...tokens.responsive.map((t) => t.name)]);
+  const renamed = new Map(); // old name > new name
+  for (const [key, kind] of RENAMABLE_MAPS) {
+    for (const [value, name] of tokens[key]) {
+      if (renamed.has(name) || seeded.has(name)) continue;
+      const out = opts.nameToken(name, { kind, value });
+      if (!out || out === name) continue;
+      const next = String(out).startsWith('--') ? String(out) : `--${out}`;
+      if (!/^--[\w-]+$/.test(next)) {
+        throw new Error(`nameToken: "${out}" (for ${name}) is not a custom property name`);
+      }
+      if (taken.has(next)) throw new Error(`nameToken: ${next} (for ${name}) is already taken`);
+      taken.add(next);
+      renamed.set(name, next);
+    }
+  }
+  const rename = (map) => new Map([...map].map(([lit, name]) => [lit, renamed.get(name) || name]));
+  for (const [key] of RENAMABLE_MAPS) tokens[key] = rename(tokens[key]);
+  tokens.colorToVar = rename(tokens.colorToVar);
+  for (const group of tokens.scale ? Object.values(tokens.scale) : []) {
+    if (group) group.snapped = rename(group.snapped);
+  }
+}
+
+/* ---------------------------------------------------------------
+   FLUID (clamp) TOKENS
+---------------------------------------------------------------- */
+
+/**
+ * `clamp()` values for `--fluid`. Scale font sizes and spacing above 1rem grow
+ * from `fluidRatio` × their value at the narrow end of the viewport range to
+ * the value itself at the wide end; smaller values stay fixed so body text and
+ * hairline gaps don't shrink. Responsive font sizes and spacing grow from
+ * their smallest to their largest value instead of switching per media block.
+ *
+ * @param {object} tokens Named tokens, including `responsive` and `bpOrder`.
+ * @param {object} opts Resolved options.
+ * @returns {{scale:Map<string, string>, responsive:Map<string, string>}} Literal >
+ *   clamp() for the `fs`/`space` scales, responsive token name > clamp().
+ */
+function fluidTokens(tokens, opts) {
+  const { features, units } = opts;
+  const scale = new Map();
+  const responsive = new Map();
+  if (!opts.fluid) return { scale, responsive };
+  const px = (lit) => (/^-?\d*\.?\d+(px|rem|em)$/.test(lit.trim()) ? lenToPx(lit.trim(), units) : null);
+  const [minVw, maxVw] = fluidViewport(opts.fluidViewport, tokens.bpOrder.map((w) => lenToPx(w)), units);
+  const clamp = (min, max) => fluidClamp(min, max, minVw, maxVw, units.rootPx);
+
+  const grow = (lit) => {
+    const max = px(lit);
+    if (max !== null && max > units.rootPx && !scale.has(lit)) scale.set(lit, clamp(max * opts.fluidRatio, max));
+  };
+  if (features.includes('typography')) tokens.fsOrder.forEach(grow);
+  if (features.includes('spacing')) tokens.spacingOrder.forEach(grow);
+
+  for (const { name, prop, value, media } of tokens.responsive) {
+    if (!fontSizePropRE.test(prop) && !lenPropsRE.test(prop)) continue;
+    const sizes = [value, ...media.map((m) => m.value)].map(px);
+    if (sizes.includes(null)) continue; // keywords, percentages, multi-value shorthands
+    const min = Math.min(...sizes);
+    const max = Math.max(...sizes);
+    if (max > min) responsive.set(name, clamp(min, max));
+  }
+  return { scale, responsive };
+}
+
+/**
+ * Resolve the viewport range fluid values grow over.
+ *
+ * @param {string|null} spec `"<min>,<max>"` widths (px, rem or em; bare numbers are px).
+ * @param {number[]} breakpoints Detected breakpoint widths in px.
+ * @param {object} units Unit context for rem/em.
+ * @returns {[number, number]} Narrow and wide viewport width in px.
+ */
+function fluidViewport(spec, breakpoints, units) {
+  const toPx = (w) => (/^\d*\.?\d+$/.test(w) ? parseFloat(w) : lenToPx(w, units));
+  const [min, max] = spec ? String(spec).split(',').map((w) => toPx(w.trim())) : [320, Math.max(0, ...breakpoints)];
+  if (min > 0 && max > min) return [min, max];
+  return [min > 0 && min < 1280 ? min : 320, 1280];
+}
+
+/**
+ * Linear `clamp()` from `min` at the `minVw` viewport width to `max` at
+ * `maxVw`, in rem so it follows the user's font size.
+ *
+ * @param {number} min Smallest value in px.
+ * @param {number} max Largest value in px.
+ * @param {number} minVw Viewport width (px) where `min` applies.
+ * @param {number} maxVw Viewport width (px) where `max` is reached.
+ * @param {number} rootPx Pixels per rem.
+ * @returns {string} `clamp(<min>rem, <a>rem + <b>vw, <max>rem)`.
+ */
+function fluidClamp(min, max, minVw, maxVw, rootPx) {
+  const rem = (v) => `${stripZero(round(v / rootPx, 4))}rem`;
+  const slope = (max - min) / (maxVw - minVw);
+  const intercept = min - slope * minVw;
+  return `clamp(${rem(min)}, ${rem(intercept)} + ${stripZero(round(slope * 100, 4))}vw, ${rem(max)})`;
+}
+
+/* ---------------------------------------------------------------
+   EMIT TOKENS (:root + dark theme)
+---------------------------------------------------------------- */
+
+/**
+ * Render the tokens stylesheet: a light `:root` block and its dark counterpart,
+ * wrapped according to `opts.darkMode` (see `wrapThemes()`).
+ *
+ * @param {object} tokens Color roles plus the scale orders/maps.
+ * @param {object} opts Resolved options.
+ * @returns {string} Tokens CSS.
+ */
+function emitTokensCss(tokens, opts) {
+  const { features } = opts;
+  const lightDark = opts.darkMode === 'light-dark';
+  const {
+    ffOrder,
+    ffMap,
+    fsOrder,
+    fsMap,
+    lhOrder,
+    lhMap,
+    fwOrder,
+    fwMap,
+    lsOrder,
+    lsMap,
+    spacingOrder,
+    spacingMap,
+    borderWidthOrder,
+    borderWidthMap,
+    radiusOrder,
+    radiusMap,
+    shadowOrder,
+    shadowMap,
+    durOrder,
+    durationMap,
+    easeOrder,
+    easeMap,
+    bpOrder,
+    bpMap,
+    responsive,
+    fluid,
+  } = tokens;
+  const linesRoot = [];
+  const linesDark = [];
+  const fsValue = (v) => fluid.scale.get(v) || v;
+
+  if (features.includes('colors')) {
+    linesRoot.push('  /* Colors */');
+    linesDark.push('  /* Colors */');
+    let scale = null;
+    for (const { name, value: literal, dark, scale: role, alias } of colorEntries(tokens, opts)) {
+      // a role that landed on an input variable points at it in the light theme
+      const value = alias ? `var(${alias})` : literal;
+      if (role && role !== scale) {
+        scale = role;
+        linesRoot.push(`\n  /* Color scale — ${role.replace('--color-', '')} */`);
+        linesDark.push(`\n  /* Color scale — ${role.replace('--color-', '')} */`);
+      }
+      const both = lightDark && value !== dark;
+      linesRoot.push(both ? `  ${name}: light-dark(${value}, ${dark});` : `  ${name}: ${value};`);
+      // the input's own variables only get the dark value it sets itself
+      if (!(opts.declaredProps && opts.declaredProps.has(name) && dark === value)) linesDark.push(`  ${name}: ${dark};`);
+    }
+  }
+
+  if (features.includes('typography')) {
+    if (ffOrder.length) {
+      linesRoot.push('\n  /* Typography — font families */');
+      ffOrder.forEach((v) => linesRoot.push(`  ${ffMap.get(v)}: ${v};`));
+      // linesDark.push('\n  /* Typography (same as light) */');
+      // ffOrder.forEach((v) => linesDark.push(`  ${ffMap.get(v)}: ${v};`));
+    }
+    if (fsOrder.length) {
+      linesRoot.push('\n  /* Typography — font sizes */');
+      fsOrder.forEach((v) => linesRoot.push(`  ${fsMap.get(v)}: ${fsValue(v)};`));
+    }
+    if (lhOrder.length) {
+      linesRoot.push('\n  /* Typography — line heights */');
+      lhOrder.forEach((v) => linesRoot.push(`  ${lhMap.get(v)}: ${v};`)); // keeps unitless/length/keyword
+    }
+    if (fwOrder.length) {
+      linesRoot.push('\n  /* Typography — font weights */');
+      fwOrder.forEach((v) => linesRoot.push(`  ${fwMap.get(v)}: ${v};`));
+    }
+    if (lsOrder.length) {
+      linesRoot.push('\n  /* Typography — letter spacing */');
+      lsOrder.forEach((v) => linesRoot.push(`  ${lsMap.get(v)}: ${v};`));
+    }
 
-roles['--color-outline'] =
-  pickBest(
-    palette,
-    (c) => {
-      let s = 0;
-      if (usedInProp(c, 'outline')) s += 2.0;
-      if (usedInSelector(c, /focus|:focus|skip-link|screen-reader/)) s += 1.0;
-      s += isGrayish(c) ? 0.3 : 0;
-      s -= Math.abs(lum(c) - 0.75);
-      return s;
-    },
-    used
-  ) || roles['--color-border'];
+    // dark theme: typography values usually identical
+    if (fsOrder.length || lhOrder.length || fwOrder.length || lsOrder.length) {
+      linesDark.push('\n  /* Typography (same as light) */');
+      fsOrder.forEach((v) => linesDark.push(`  ${fsMap.get(v)}: ${fsValue(v)};`));
+      lhOrder.forEach((v) => linesDark.push(`  ${lhMap.get(v)}: ${v};`));
+      fwOrder.forEach((v) => linesDark.push(`  ${fwMap.get(v)}: ${v};`));
+      lsOrder.forEach((v) => linesDark.push(`  ${lsMap.get(v)}: ${v};`));
+    }
+  }
 
-roles['--color-muted'] = pickBest(
-  palette.filter((c) => isGrayish(c)),
-  (c) => {
-    const L = lum(c);
-    return 1 - Math.abs(L - 0.5) + Math.log1p(count(c)) * 0.1;
-  },
-  used
-);
+  if (features.includes('spacing') && spacingOrder.length) {
+    const grid = tokens.scale && tokens.scale.spacing;
+    const by = grid ? `${grid.grid}px grid` : opts.naming === 'semantic' ? 'by size' : 'by frequency';
+    linesRoot.push(`\n  /* Spacing (${by}) */`);
+    spacingOrder.forEach((lit) =>
+      linesRoot.push(`  ${spacingMap.get(lit)}: ${fluid.scale.get(lit) || preferRem(lit, opts.units)};`)
+    );
+  }
 
-roles['--color-disabled'] =
-  pickBest(
-    palette.filter((c) => isGrayish(c)),
-    (c) => {
-      let s = 0;
-      const L = lum(c);
-      if (usedInSelector(c, /disabled/)) s += 1.5;
-      s += 1 - Math.abs(L - 0.6);
-      return s;
-    },
-    used
-  ) || roles['--color-muted'];
+  if (features.includes('borders') && borderWidthOrder.length) {
+    linesRoot.push('\n  /* Border widths */');
+    borderWidthOrder.forEach((w) => linesRoot.push(`  ${borderWidthMap.get(w)}: ${w};`));
+  }
 
-/* Remaining colors > numbered vars */
-const semanticMap = new Map(); // color > var
-for (const [varName, colorLit] of Object.entries(roles)) {
-  if (colorLit) semanticMap.set(colorLit, varName);
-}
-const remainingColors = palette
-  .filter((c) => !semanticMap.has(c))
-  .sort((a, b) => byColor.get(b).count - byColor.get(a).count || a.localeCompare(b));
-const numericColorMap = new Map();
-remainingColors.forEach((c, i) => numericColorMap.set(c, `--c${String(i + 1).padStart(2, '0')}`));
-const colorToVar = new Map([...semanticMap.entries(), ...numericColorMap.entries()]); // color > variable
+  if (features.includes('radius') && radiusOrder.length) {
+    linesRoot.push('\n  /* Radii */');
+    radiusOrder.forEach((r) => linesRoot.push(`  ${radiusMap.get(r)}: ${r};`));
+  }
 
-/* ---------------------------------------------------------------
-   FONT / SPACING / BORDERS / RADII / SHADOWS / MOTION
----------------------------------------------------------------- */
+  if (features.includes('shadows') && shadowOrder.length) {
+    linesRoot.push('\n  /* Shadows */');
+    shadowOrder.forEach((s) => linesRoot.push(`  ${shadowMap.get(s)}: ${s};`));
+    linesDark.push('\n  /* Shadows (same as light; adjust if needed) */');
+    shadowOrder.forEach((s) => linesDark.push(`  ${shadowMap.get(s)}: ${s};`));
+  }
 
-// Fonts
-let ffOrder = [],
-  ffMap = new Map(),
-  fsOrder = [],
-  fsMap = new Map(),
-  lhOrder = [],
-  lhMap = new Map(),
-  fwOrder = [],
-  fwMap = new Map(),
-  lsOrder = [],
-  lsMap = new Map();
-
-if (features.includes('typography')) {
-  const nameFF = makeNameFactory(PREFIX_FF);
-  const nameFS = makeNameFactory(PREFIX_FS);
-  const nameLH = makeNameFactory(PREFIX_LH);
-  const nameFW = makeNameFactory(PREFIX_FW);
-  const nameLS = makeNameFactory(PREFIX_LS);
-
-  // categorize font families based on selector hints
-  const headingRe = /\bh[1-6]\b/i;
-  const bodyRe = /\bbody\b/i;
-  const monoRe = /\b(pre|code|kbd|samp)\b/i;
-  for (const [, data] of byFontFamily) {
-    data.hints = new Set();
-    for (const sel of data.selectors || []) {
-      const aliasHints = selectorAliasesFor(sel);
-      if (aliasHints.size) {
-        aliasHints.forEach((h) => data.hints.add(h));
-        continue;
-      }
-      if (headingRe.test(sel)) data.hints.add('heading');
-      if (bodyRe.test(sel)) data.hints.add('body');
-      if (monoRe.test(sel)) data.hints.add('monospace');
+  if (features.includes('motion') && (durOrder.length || easeOrder.length)) {
+    if (durOrder.length) {
+      linesRoot.push('\n  /* Durations */');
+      durOrder.forEach((d) => linesRoot.push(`  ${durationMap.get(d)}: ${normalizeDuration(d)};`));
+      linesDark.push('\n  /* Durations */');
+      durOrder.forEach((d) => linesDark.push(`  ${durationMap.get(d)}: ${normalizeDuration(d)};`));
+    }
+    if (easeOrder.length) {
+      linesRoot.push('\n  /* Easing */');
+      easeOrder.forEach((e) => linesRoot.push(`  ${easeMap.get(e)}: ${e};`));
+      linesDark.push('\n  /* Easing */');
+      easeOrder.forEach((e) => linesDark.push(`  ${easeMap.get(e)}: ${e};`));
     }
   }
 
-  ffOrder = [...byFontFamily.entries()]
-    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
-    .map(([k]) => k);
+  if (features.includes('breakpoints') && bpOrder.length) {
+    linesRoot.push("\n  /* Breakpoints (reference values; @media can't read var()) */");
+    bpOrder.forEach((w) => linesRoot.push(`  ${bpMap.get(w)}: ${w};`));
+  }
 
-  const semanticFF = {
-    heading: '--font-family-heading',
-    body: '--font-family-body',
-    monospace: '--font-family-monospace',
-  };
-  const usedCats = new Set();
-  ffMap = new Map();
-  let genericIdx = 0;
-  for (const fam of ffOrder) {
-    const hints = byFontFamily.get(fam).hints;
-    let vname = null;
-    if (hints) {
-      for (const cat of Object.keys(semanticFF)) {
-        if (hints.has(cat) && !usedCats.has(cat)) {
-          vname = semanticFF[cat];
-          usedCats.add(cat);
-          break;
-        }
+  // responsive tokens: base value here, redefined per media block below
+  const blocks = new Map(); // media key > {atRules, lines}
+  if (responsive.length) {
+    linesRoot.push('\n  /* Responsive */');
+    for (const { name, value, media } of responsive) {
+      linesRoot.push(`  ${name}: ${fluid.responsive.get(name) || value};`);
+      if (fluid.responsive.has(name)) continue; // one clamp() replaces the media overrides
+      for (const { key, atRules, value: override } of media) {
+        if (!blocks.has(key)) blocks.set(key, { atRules, lines: [] });
+        blocks.get(key).lines.push(`  ${name}: ${override};`);
       }
     }
-    if (!vname) vname = nameFF(fam, genericIdx++);
-    ffMap.set(fam, vname);
-  }
-
-  fsOrder = [...byFontSize.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lenToPxSafe(b[0]) - lenToPxSafe(a[0]))
-    .map(([k]) => k);
-  fsMap = new Map(fsOrder.map((v, i) => [v, nameFS(v, i)]));
-
-  lhOrder = [...byLineHeight.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lineHeightToFloat(b[0]) - lineHeightToFloat(a[0]))
-    .map(([k]) => k);
-  lhMap = new Map(lhOrder.map((v, i) => [v, nameLH(v, i)]));
-
-  fwOrder = [...byFontWeight.entries()]
-    .sort((a, b) => b[1].count - a[1].count || fontWeightToNum(b[0]) - fontWeightToNum(a[0]))
-    .map(([k]) => k);
-  fwMap = new Map(fwOrder.map((v, i) => [v, nameFW(v, i)]));
-
-  lsOrder = [...byLetterSpacing.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lenToPxSafe(b[0]) - lenToPxSafe(a[0]))
-    .map(([k]) => k);
-  lsMap = new Map(lsOrder.map((v, i) => [v, nameLS(v, i)]));
-}
-
-// Spacing
-let spacingOrder = [],
-  spacingMap = new Map();
-if (features.includes('spacing')) {
-  const name = makeNameFactory(PREFIX_SPACE);
-  spacingOrder = [...byLength.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lenToPx(b[0]) - lenToPx(a[0]))
-    .map(([k]) => k);
-  spacingMap = new Map(spacingOrder.map((lit, i) => [lit, name(lit, i)]));
-}
-
-// Borders
-let borderWidthOrder = [],
-  borderWidthMap = new Map();
-if (features.includes('borders')) {
-  const name = makeNameFactory('border-width');
-  borderWidthOrder = [...byBorderWidth.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lenToPx(a[0]) - lenToPx(b[0]))
-    .map(([k]) => k);
-  borderWidthMap = new Map(borderWidthOrder.map((w, i) => [w, name(w, i)]));
-}
-
-// Radius
-let radiusOrder = [],
-  radiusMap = new Map();
-if (features.includes('radius')) {
-  const name = makeNameFactory('radius');
-  radiusOrder = [...byRadius.entries()]
-    .sort((a, b) => b[1].count - a[1].count || lenToPx(a[0]) - lenToPx(b[0]))
-    .map(([k]) => k);
-  radiusMap = new Map(radiusOrder.map((r, i) => [r, name(r, i)]));
-}
-
-// Shadows
-let shadowOrder = [],
-  shadowMap = new Map();
-if (features.includes('shadows')) {
-  const name = makeNameFactory(PREFIX_SHADOW);
-  shadowOrder = [...byShadow.entries()]
-    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
-    .map(([k]) => k);
-  shadowMap = new Map(shadowOrder.map((s, i) => [s, name(s, i)]));
-}
-
-// Motion
-let durOrder = [],
-  durationMap = new Map();
-let easeOrder = [],
-  easeMap = new Map();
-if (features.includes('motion')) {
-  const nameDur = makeNameFactory(PREFIX_DURATION);
-  const nameEase = makeNameFactory(PREFIX_EASE);
-  durOrder = [...byDuration.entries()]
-    .sort((a, b) => b[1].count - a[1].count || a[1].ms - b[1].ms)
-    .map(([k]) => k);
-  durationMap = new Map(durOrder.map((d, i) => [d, nameDur(d, i)]));
-  easeOrder = [...byEase.entries()]
-    .sort((a, b) => b[1].count - a[1].count || a[0].localeCompare(b[0]))
-    .map(([k]) => k);
-  easeMap = new Map(easeOrder.map((e, i) => [e, nameEase(e, i)]));
+  }
+  const mediaCss = [...blocks.values()].map(({ atRules, lines }) => {
+    let css = `:root{\n${lines.join('\n')}\n}`;
+    for (const { prelude } of [...atRules].reverse()) {
+      css = `@media ${prelude.trim()}{\n${css.replace(/^(?=.)/gm, '  ')}\n}`;
+    }
+    return `${css}\n`;
+  });
+
+  return [wrapThemes(linesRoot.join('\n'), linesDark.join('\n'), opts), ...mediaCss].join('\n');
 }
 
-/* ---------------------------------------------------------------
-   EMIT TOKENS (:root + [data-theme="dark"])
----------------------------------------------------------------- */
-const linesRoot = [];
-const linesDark = [];
+/**
+ * Wrap the light and dark declaration bodies in the selectors for `opts.darkMode`:
+ * - `attribute` (default): `:root[data-theme="dark"]`
+ * - `class`: `.dark`
+ * - `media`: `@media (prefers-color-scheme: dark) { :root }`
+ * - `both`: the media query, skipped under the light opt-out selector, plus the attribute/class selector
+ * - `light-dark`: a single `:root` with `color-scheme: light dark`; colors are
+ *   already `light-dark()` pairs, so the dark body is dropped.
+ * `opts.darkSelector` replaces the attribute/class selector; for `both`, the
+ * light opt-out is `opts.lightSelector`, or the dark selector with `dark`
+ * swapped for `light` (see `resolveOptions()`).
+ *
+ * @param {string} light Light declarations.
+ * @param {string} dark Dark declarations.
+ * @param {object} opts Resolved options.
+ * @returns {string} Tokens CSS.
+ */
+function wrapThemes(light, dark, opts) {
+  const mode = opts.darkMode;
+  if (mode === 'light-dark') return `:root{\n  color-scheme: light dark;\n\n${light}\n}\n`;
+  const root = `:root{\n${light}\n}\n\n`;
+  const indented = dark.replace(/^(?=.)/gm, '  ');
+  const media = (sel) => `@media (prefers-color-scheme: dark){\n  ${sel}{\n${indented}\n  }\n}\n`;
+  if (mode === 'media') return root + media(':root');
+  const selector = opts.darkSelector || (mode === 'class' ? '.dark' : ':root[data-theme="dark"]');
+  const block = `${selector}{\n${dark}\n}\n`;
+  if (mode !== 'both') return root + block;
+  const optOut = (opts.lightSelector || selector.replace(/dark/g, 'light')).replace(/^:root(?=.)/, '');
+  return root + media(`:root:not(${optOut})`) + '\n' + block;
+}
 
-if (features.includes('colors')) {
-  const orderedColorVars = [
-    ...Object.keys(roles).filter((k) => roles[k]),
-    ...remainingColors.map((c) => numericColorMap.get(c)),
-  ];
-  linesRoot.push('  /* Colors */');
-  linesDark.push('  /* Colors */');
-  for (const v of orderedColorVars) {
-    const color = varToColor(v) || '#000';
+/**
+ * Light and dark output values of every color variable, tonal scale steps last.
+ * These are the strings `tokensCss` writes; other emitters reuse them.
+ *
+ * @param {object} tokens Token tables including `darkColors`.
+ * @param {object} opts Resolved options.
+ * @returns {{name:string, value:string, dark:string, scale?:string, alias?:string}[]} Color entries;
+ *   `scale` is the role a palette step belongs to, `alias` the input variable
+ *   holding a role's value (`tokensCss` writes `var(<alias>)` for it in the light theme).
+ */
+function colorEntries(tokens, opts) {
+  const { roles, seededColors, palettes, darkColors } = tokens;
+  const notationOf = (lit) => (opts.preserveColorSpace ? colorNotation(lit) : 'hex');
+  const out = colorVars(tokens).map((name) => {
+    const color = varToColor(name, tokens) || '#000';
     const rgba = toRgba(color);
-    const baseOut = rgbaToCss(rgba);
-    const darkOut = rgbaToCss(toDark(rgba, algorithm));
-    linesRoot.push(`  ${v}: ${baseOut};`);
-    linesDark.push(`  ${v}: ${darkOut};`);
+    // currentColor resolves per element; there is nothing to invert
+    if (!rgba) return { name, value: color, dark: color };
+    const declared = roles[name] && seededColors.get(roles[name]);
+    const value = opts.preserveColorSpace ? color : rgbaToCss(rgba);
+    // an input variable without a dark redeclaration is the same in both themes
+    const same = opts.declaredProps && opts.declaredProps.has(name) && rgbaToCss(darkColors.get(name)) === rgbaToCss(rgba);
+    return {
+      name,
+      value,
+      dark: same ? value : rgbaToCss(darkColors.get(name), notationOf(color)),
+      ...(opts.declaredProps && opts.declaredProps.has(declared) ? { alias: declared } : {}),
+    };
+  });
+  for (const [role, steps] of Object.entries(palettes)) {
+    for (const s of steps) {
+      out.push({
+        name: s.name,
+        scale: role,
+        value: rgbaToCss(s.rgba, notationOf(roles[role])),
+        dark: rgbaToCss(darkColors.get(s.name), notationOf(roles[role])),
+      });
+    }
   }
+  return out;
 }
 
-if (features.includes('typography')) {
-  if (ffOrder.length) {
-    linesRoot.push('\n  /* Typography — font families */');
-    ffOrder.forEach((v) => linesRoot.push(`  ${ffMap.get(v)}: ${v};`));
-    // linesDark.push('\n  /* Typography (same as light) */');
-    // ffOrder.forEach((v) => linesDark.push(`  ${ffMap.get(v)}: ${v};`));
+/**
+ * Every enabled token group with the values `tokensCss` writes, for emitters
+ * that target other formats. `prefix` is the group's variable prefix
+ * (`--space-1` > `space`), used to derive short map keys. `raw` groups are
+ * only useful as values (media queries can't read `var()`), so emitters
+ * write their value where they would otherwise reference the variable.
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {{key:string, prefix:string, raw?:boolean, items:{name:string, value:string, dark?:string}[]}[]}
+ *   Non-empty groups in `tokensCss` order.
+ */
+function tokenGroups(tokens, opts) {
+  const { features, units } = opts;
+  const list = (order, map, fmt = (v) => v) => order.map((lit) => ({ name: map.get(lit), value: fmt(lit) }));
+  const fluid = (lit) => tokens.fluid.scale.get(lit) || lit;
+  const groups = [];
+  if (features.includes('colors')) {
+    groups.push({ key: 'colors', prefix: 'color', items: colorEntries(tokens, opts) });
+  }
+  if (features.includes('typography')) {
+    groups.push(
+      { key: 'fontFamilies', prefix: 'font-family', items: list(tokens.ffOrder, tokens.ffMap) },
+      { key: 'fontSizes', prefix: opts.prefixFontSize, items: list(tokens.fsOrder, tokens.fsMap, fluid) },
+      { key: 'lineHeights', prefix: opts.prefixLineHeight, items: list(tokens.lhOrder, tokens.lhMap) },
+      { key: 'fontWeights', prefix: opts.prefixFontWeight, items: list(tokens.fwOrder, tokens.fwMap) },
+      { key: 'letterSpacing', prefix: opts.prefixLetterSpacing, items: list(tokens.lsOrder, tokens.lsMap) }
+    );
   }
-  if (fsOrder.length) {
-    linesRoot.push('\n  /* Typography — font sizes */');
-    fsOrder.forEach((v) => linesRoot.push(`  ${fsMap.get(v)}: ${v};`));
+  if (features.includes('spacing')) {
+    const rem = (lit) => tokens.fluid.scale.get(lit) || preferRem(lit, units);
+    groups.push({ key: 'spacing', prefix: opts.prefixSpace, items: list(tokens.spacingOrder, tokens.spacingMap, rem) });
+  }
+  if (features.includes('borders')) {
+    groups.push({ key: 'borderWidths', prefix: 'border-width', items: list(tokens.borderWidthOrder, tokens.borderWidthMap) });
+  }
+  if (features.includes('radius')) {
+    groups.push({ key: 'radii', prefix: 'radius', items: list(tokens.radiusOrder, tokens.radiusMap) });
   }
-  if (lhOrder.length) {
-    linesRoot.push('\n  /* Typography — line heights */');
-    lhOrder.forEach((v) => linesRoot.push(`  ${lhMap.get(v)}: ${v};`)); // keeps unitless/length/keyword
+  if (features.includes('shadows')) {
+    groups.push({ key: 'shadows', prefix: opts.prefixShadow, items: list(tokens.shadowOrder, tokens.shadowMap) });
   }
-  if (fwOrder.length) {
-    linesRoot.push('\n  /* Typography — font weights */');
-    fwOrder.forEach((v) => linesRoot.push(`  ${fwMap.get(v)}: ${v};`));
+  if (features.includes('motion')) {
+    groups.push(
+      { key: 'durations', prefix: opts.prefixDuration, items: list(tokens.durOrder, tokens.durationMap, normalizeDuration) },
+      { key: 'easing', prefix: opts.prefixEase, items: list(tokens.easeOrder, tokens.easeMap) }
+    );
   }
-  if (lsOrder.length) {
-    linesRoot.push('\n  /* Typography — letter spacing */');
-    lsOrder.forEach((v) => linesRoot.push(`  ${lsMap.get(v)}: ${v};`));
+  if (features.includes('breakpoints')) {
+    groups.push({ key: 'breakpoints', prefix: opts.prefixBreakpoint, raw: true, items: list(tokens.bpOrder, tokens.bpMap) });
   }
+  return groups.filter((g) => g.items.length);
+}
 
-  // dark theme: typography values usually identical
-  if (fsOrder.length || lhOrder.length || fwOrder.length || lsOrder.length) {
-    linesDark.push('\n  /* Typography (same as light) */');
-    fsOrder.forEach((v) => linesDark.push(`  ${fsMap.get(v)}: ${v};`));
-    lhOrder.forEach((v) => linesDark.push(`  ${lhMap.get(v)}: ${v};`));
-    fwOrder.forEach((v) => linesDark.push(`  ${fwMap.get(v)}: ${v};`));
-    lsOrder.forEach((v) => linesDark.push(`  ${lsMap.get(v)}: ${v};`));
+/**
+ * Render the tokens as Sass, Less or Stylus variables plus one map per group
+ * (`$colors: (fg: $color-fg, …)`) and a `-dark` map of the dark color values.
+ * Map keys drop the group prefix (`--color-fg` > `fg`); Less maps keep full
+ * names because Less keys may not start with a digit.
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @param {'scss'|'less'|'styl'} syntax Target syntax.
+ * @returns {string} Variables file.
+ */
+function emitPreprocessorVars(tokens, opts, syntax) {
+  const sigil = syntax === 'less' ? '@' : '$';
+  const ref = (name) => `${sigil}${name.replace(/^--/, '')}`;
+  const decl = (name, value) => (syntax === 'styl' ? `${name} = ${value}` : `${name}: ${value};`);
+  const mapKey = (name, prefix) => {
+    const bare = name.replace(/^--/, '');
+    if (syntax === 'less') return bare;
+    const key = bare.startsWith(`${prefix}-`) ? bare.slice(prefix.length + 1) : bare;
+    return syntax === 'styl' ? `'${key}'` : key;
+  };
+  const map = (name, entries) => {
+    if (syntax === 'scss') return `${name}: (\n${entries.map(([k, v]) => `  ${k}: ${v},`).join('\n')}\n);`;
+    if (syntax === 'less') return `${name}: {\n${entries.map(([k, v]) => `  ${k}: ${v};`).join('\n')}\n}`;
+    return `${name} = {\n${entries.map(([k, v]) => `  ${k}: ${v},`).join('\n')}\n}`;
+  };
+  const kebab = (key) => key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+  const groups = tokenGroups(tokens, opts);
+  const vars = [];
+  const maps = [];
+  for (const { key, prefix, items } of groups) {
+    vars.push(`// ${kebab(key)}`);
+    const seen = new Set();
+    for (const { name, value } of items) {
+      if (seen.has(name)) continue; // seeded names can cover several literals
+      seen.add(name);
+      vars.push(decl(ref(name), value));
+    }
+    vars.push('');
+    const unique = items.filter((it, i) => items.findIndex((o) => o.name === it.name) === i);
+    maps.push(map(`${sigil}${kebab(key)}`, unique.map((it) => [mapKey(it.name, prefix), ref(it.name)])));
+    if (key === 'colors') {
+      maps.push(map(`${sigil}colors-dark`, unique.map((it) => [mapKey(it.name, prefix), it.dark])));
+    }
   }
+  return `// Generated tokens\n${vars.join('\n')}\n${maps.join('\n\n')}\n`;
 }
 
-if (features.includes('spacing') && spacingOrder.length) {
-  linesRoot.push('\n  /* Spacing (by frequency) */');
-  spacingOrder.forEach((lit) => linesRoot.push(`  ${spacingMap.get(lit)}: ${preferRem(lit)};`));
+/* ---------------------------------------------------------------
+   TAILWIND (v3 theme.extend / v4 @theme)
+---------------------------------------------------------------- */
+
+/**
+ * Tailwind theme sections (v3 key) and `@theme` namespaces (v4) per token group.
+ * v4 has no duration or border-width namespace; those groups are v3 only.
+ */
+const TAILWIND_GROUPS = {
+  colors: { v3: 'colors', v4: 'color' },
+  fontFamilies: { v3: 'fontFamily', v4: 'font' },
+  fontSizes: { v3: 'fontSize', v4: 'text' },
+  lineHeights: { v3: 'lineHeight', v4: 'leading' },
+  fontWeights: { v3: 'fontWeight', v4: 'font-weight' },
+  letterSpacing: { v3: 'letterSpacing', v4: 'tracking' },
+  spacing: { v3: 'spacing', v4: 'spacing' },
+  borderWidths: { v3: 'borderWidth', v4: null },
+  radii: { v3: 'borderRadius', v4: 'radius' },
+  shadows: { v3: 'boxShadow', v4: 'shadow' },
+  durations: { v3: 'transitionDuration', v4: null },
+  easing: { v3: 'transitionTimingFunction', v4: 'ease' },
+  breakpoints: { v3: 'screens', v4: 'breakpoint' },
+};
+
+/**
+ * Render the tokens as a Tailwind v3 config module (`theme.extend`) or a v4
+ * `@theme inline { … }` block. Values are `var(--token)` references so the
+ * dark theme in the tokens stylesheet keeps applying; `inline` makes v4
+ * utilities use the reference itself, so a theme variable that shares our
+ * token's name (`--color-primary`) never stands in for it. Keys drop the group
+ * prefix (`--color-primary` > `primary`, `--space-1` > `1`, `--font-family-heading`
+ * > `heading`), so the section or namespace names the group only once. Font
+ * sizes carry the line-height they are most often declared with. Palette
+ * scales nest under their role (`primary.500`).
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @param {3|4} version Tailwind major version.
+ * @returns {string} Config module (v3) or CSS (v4).
+ */
+function emitTailwind(tokens, opts, version) {
+  const twKey = (name, prefix) => {
+    const bare = name.replace(/^--/, '');
+    return bare.startsWith(`${prefix}-`) ? bare.slice(prefix.length + 1) : bare;
+  };
+  const lineHeightOf = (name) => {
+    const fs = tokens.fsOrder.find((lit) => tokens.fsMap.get(lit) === name);
+    const lh = tokens.fsLineHeight.get(fs);
+    return lh ? tokens.lhMap.get(lh) : null;
+  };
+
+  const extend = {};
+  const theme = [];
+  for (const { key, prefix, raw, items } of tokenGroups(tokens, opts)) {
+    const target = TAILWIND_GROUPS[key][`v${version}`];
+    if (!target) continue;
+    const seen = new Set();
+    const section = {};
+    if (version === 4) theme.push(`  /* ${target} */`);
+    for (const { name, value, scale } of items) {
+      if (seen.has(name)) continue; // seeded names can cover several literals
+      seen.add(name);
+      const k = scale ? `${twKey(scale, prefix)}-${name.slice(scale.length + 1)}` : twKey(name, prefix);
+      if (version === 4) {
+        const twName = `--${target}-${k}`;
+        theme.push(`  ${twName}: ${raw ? value : `var(${name})`};`);
+        const lh = key === 'fontSizes' && lineHeightOf(name);
+        if (lh) theme.push(`  ${twName}--line-height: var(${lh});`);
+      } else if (scale) {
+        const role = twKey(scale, prefix);
+        if (typeof section[role] === 'string') section[role] = { DEFAULT: section[role] };
+        section[role][name.slice(scale.length + 1)] = `var(${name})`;
+      } else {
+        const lh = key === 'fontSizes' && lineHeightOf(name);
+        section[k] = lh ? [`var(${name})`, { lineHeight: `var(${lh})` }] : raw ? value : `var(${name})`;
+      }
+    }
+    if (version === 3) extend[target] = section;
+  }
+
+  if (version === 4) return `/* Generated tokens — Tailwind CSS v4 theme */\n@theme inline {\n${theme.join('\n')}\n}\n`;
+  const config = JSON.stringify({ theme: { extend } }, null, 2);
+  return `// Generated tokens — Tailwind CSS v3 theme; load the tokens stylesheet alongside it\nmodule.exports = ${config};\n`;
 }
 
-if (features.includes('borders') && borderWidthOrder.length) {
-  linesRoot.push('\n  /* Border widths */');
-  borderWidthOrder.forEach((w) => linesRoot.push(`  ${borderWidthMap.get(w)}: ${w};`));
+/* ---------------------------------------------------------------
+   TS / JS TOKEN MODULE
+---------------------------------------------------------------- */
+
+/**
+ * Render the tokens as an ES module for component code: a nested `tokens`
+ * object of `var(--x)` references, `values.light` / `values.dark` with the raw
+ * values keyed by custom property, and (TypeScript) a `TokenName` union of
+ * every generated property. Paths are the camelCased group prefix plus the rest
+ * of the name (`--color-primary` > `tokens.color.primary`, `--space-1` >
+ * `tokens.space[1]`, `--font-family-heading` > `tokens.fontFamily.heading`);
+ * names outside their group prefix (`--c01`, seeded names) stay whole under
+ * the group (`tokens.color.c01`, `tokens.color['brand-dark']`).
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @param {'ts'|'js'} lang Output language; `js` types `TokenName` via JSDoc.
+ * @returns {string} Module source.
+ */
+function emitTokenModule(tokens, opts, lang) {
+  const tree = {};
+  const light = {};
+  const dark = {};
+  for (const { prefix, raw, items } of tokenGroups(tokens, opts)) {
+    for (const { name, value, dark: darkValue } of items) {
+      if (name in light) continue; // seeded names can cover several literals
+      light[name] = value;
+      dark[name] = darkValue || value;
+      const bare = name.replace(/^--/, '');
+      const group = prefix.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      const key = bare.startsWith(`${prefix}-`) ? bare.slice(prefix.length + 1) : bare;
+      (tree[group] = tree[group] || {})[key] = raw ? value : `var(${name})`;
+    }
+  }
+
+  const names = Object.keys(light);
+  const quoted = names.map((n) => `'${n}'`);
+  const lines = ['// Generated tokens'];
+  if (lang === 'ts') {
+    lines.push(`export type TokenName =${quoted.length ? quoted.map((q) => `\n  | ${q}`).join('') : ' never'};`, '');
+    lines.push(`export const tokens = ${jsLiteral(tree)} as const;`, '');
+    lines.push('export type Tokens = typeof tokens;', '');
+    lines.push('type TokenValues = Record<TokenName, string>;', '');
+    lines.push(`export const values: { light: TokenValues; dark: TokenValues } = ${jsLiteral({ light, dark })};`);
+  } else {
+    lines.push(`/** @typedef {${quoted.join('|') || 'never'}} TokenName */`, '');
+    lines.push(`export const tokens = Object.freeze(${jsLiteral(tree)});`, '');
+    lines.push('/** @type {{light: Record<TokenName, string>, dark: Record<TokenName, string>}} */');
+    lines.push(`export const values = ${jsLiteral({ light, dark })};`);
+  }
+  return `${lines.join('\n')}\n`;
 }
 
-if (features.includes('radius') && radiusOrder.length) {
-  linesRoot.push('\n  /* Radii */');
-  radiusOrder.forEach((r) => linesRoot.push(`  ${radiusMap.get(r)}: ${r};`));
+/* ---------------------------------------------------------------
+   NATIVE (Android XML / Jetpack Compose / Swift)
+---------------------------------------------------------------- */
+
+/**
+ * Color and dimension tokens in the shape the native emitters need: colors as
+ * light/dark RGBA (dark from `darkColors`, i.e. `toDark()` plus the contrast
+ * pass), spacing, radii and font sizes as pixels via `lenToPx()` and the
+ * `--root-size` / `--context-size` bases. `currentColor`, percentages, viewport
+ * units and multi-value radii have no native equivalent and are left out.
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {{colors:{name:string, light:object, dark:object}[],
+ *   dimens:{name:string, kind:'spacing'|'radius'|'fontSize', px:number}[]}} Native tokens.
+ */
+function nativeTokens(tokens, opts) {
+  const { features, units } = opts;
+  const colors = [];
+  if (features.includes('colors')) {
+    for (const { name, value } of colorEntries(tokens, opts)) {
+      const light = toRgba(value);
+      if (!light || colors.some((c) => c.name === name)) continue;
+      colors.push({ name, light, dark: tokens.darkColors.get(name) || light });
+    }
+  }
+  const dimens = [];
+  const add = (kind, order, map) => {
+    for (const lit of order) {
+      const name = map.get(lit);
+      if (!/^-?\d*\.?\d+(px|rem|em)$/.test(lit.trim()) || dimens.some((d) => d.name === name)) continue;
+      dimens.push({ name, kind, px: round(lenToPx(lit.trim(), units), 2) });
+    }
+  };
+  if (features.includes('spacing')) add('spacing', tokens.spacingOrder, tokens.spacingMap);
+  if (features.includes('radius')) add('radius', tokens.radiusOrder, tokens.radiusMap);
+  if (features.includes('typography')) add('fontSize', tokens.fsOrder, tokens.fsMap);
+  return { colors, dimens };
 }
 
-if (features.includes('shadows') && shadowOrder.length) {
-  linesRoot.push('\n  /* Shadows */');
-  shadowOrder.forEach((s) => linesRoot.push(`  ${shadowMap.get(s)}: ${s};`));
-  linesDark.push('\n  /* Shadows (same as light; adjust if needed) */');
-  shadowOrder.forEach((s) => linesDark.push(`  ${shadowMap.get(s)}: ${s};`));
+/**
+ * Render Android resources: `values/colors.xml`, `values-night/colors.xml`
+ * and `values/dimens.xml` (dp for spacing and radii, sp for font sizes so
+ * they follow the system text size). Names are snake_case (`--color-fg` > `color_fg`).
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {{colors:string, colorsNight:string, dimens:string}} Resource files.
+ */
+function emitAndroid(tokens, opts) {
+  const { colors, dimens } = nativeTokens(tokens, opts);
+  const hex = ({ r, g, b, a }) => {
+    const h = (n) => n.toString(16).padStart(2, '0').toUpperCase();
+    return `#${a === 1 ? '' : h(Math.round(a * 255))}${h(r)}${h(g)}${h(b)}`;
+  };
+  const resources = (lines) =>
+    `<?xml version="1.0" encoding="utf-8"?>\n<!-- Generated tokens -->\n<resources>\n${lines.join('\n')}\n</resources>\n`;
+  const colorXml = (theme) =>
+    resources(colors.map((c) => `    <color name="${nativeName(c.name, 'snake')}">${hex(c[theme])}</color>`));
+  return {
+    colors: colorXml('light'),
+    colorsNight: colorXml('dark'),
+    dimens: resources(
+      dimens.map((d) => `    <dimen name="${nativeName(d.name, 'snake')}">${d.px}${d.kind === 'fontSize' ? 'sp' : 'dp'}</dimen>`)
+    ),
+  };
 }
 
-if (features.includes('motion') && (durOrder.length || easeOrder.length)) {
-  if (durOrder.length) {
-    linesRoot.push('\n  /* Durations */');
-    durOrder.forEach((d) => linesRoot.push(`  ${durationMap.get(d)}: ${normalizeDuration(d)};`));
-    linesDark.push('\n  /* Durations */');
-    durOrder.forEach((d) => linesDark.push(`  ${durationMap.get(d)}: ${normalizeDuration(d)};`));
+/**
+ * Render a Kotlin file for Jetpack Compose: `TokenColors` / `TokenColorsDark`
+ * objects of `Color(0xAARRGGBB)` constants and `TokenDimens` with `.dp` / `.sp`
+ * values. Names are PascalCase (`--color-fg` > `ColorFg`).
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {string} Kotlin source.
+ */
+function emitCompose(tokens, opts) {
+  const { colors, dimens } = nativeTokens(tokens, opts);
+  const argb = ({ r, g, b, a }) =>
+    `0x${[Math.round(a * 255), r, g, b].map((n) => n.toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+  const num = (n) => (n < 0 ? `(${n})` : n);
+  const object = (name, lines) => `object ${name} {\n${lines.map((l) => `    ${l}`).join('\n')}\n}\n`;
+  const blocks = [
+    [
+      '// Generated tokens',
+      'import androidx.compose.ui.graphics.Color',
+      'import androidx.compose.ui.unit.dp',
+      'import androidx.compose.ui.unit.sp',
+      '',
+    ].join('\n'),
+  ];
+  if (colors.length) {
+    const colorObject = (name, theme) =>
+      object(name, colors.map((c) => `val ${nativeName(c.name, 'pascal')} = Color(${argb(c[theme])})`));
+    blocks.push(colorObject('TokenColors', 'light'), colorObject('TokenColorsDark', 'dark'));
   }
-  if (easeOrder.length) {
-    linesRoot.push('\n  /* Easing */');
-    easeOrder.forEach((e) => linesRoot.push(`  ${easeMap.get(e)}: ${e};`));
-    linesDark.push('\n  /* Easing */');
-    easeOrder.forEach((e) => linesDark.push(`  ${easeMap.get(e)}: ${e};`));
+  if (dimens.length) {
+    blocks.push(
+      object(
+        'TokenDimens',
+        dimens.map((d) => `val ${nativeName(d.name, 'pascal')} = ${num(d.px)}.${d.kind === 'fontSize' ? 'sp' : 'dp'}`)
+      )
+    );
   }
+  return blocks.join('\n');
 }
 
-const tokensCss =
-  `:root{\n${linesRoot.join('\n')}\n}\n\n` +
-  `:root[data-theme="dark"]{\n${linesDark.join('\n')}\n}\n`;
-
-fs.writeFileSync(outFile, tokensCss, 'utf8');
+/**
+ * Render a Swift file: dynamic `UIColor` extensions that switch on the trait
+ * collection's `userInterfaceStyle`, matching SwiftUI `Color` extensions, and a
+ * `TokenSize` enum of point values. Names are camelCase (`--color-fg` > `colorFg`).
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {string} Swift source.
+ */
+function emitSwift(tokens, opts) {
+  const { colors, dimens } = nativeTokens(tokens, opts);
+  const uiColor = ({ r, g, b, a }) =>
+    `UIColor(red: ${round(r / 255, 4)}, green: ${round(g / 255, 4)}, blue: ${round(b / 255, 4)}, alpha: ${round(a, 4)})`;
+  const blocks = ['// Generated tokens\nimport SwiftUI\nimport UIKit\n'];
+  if (colors.length) {
+    const ui = colors.map((c) =>
+      [
+        `    static let ${nativeName(c.name, 'camel')} = UIColor { traits in`,
+        '        traits.userInterfaceStyle == .dark',
+        `            ? ${uiColor(c.dark)}`,
+        `            : ${uiColor(c.light)}`,
+        '    }',
+      ].join('\n')
+    );
+    const swiftUi = colors.map((c) => {
+      const id = nativeName(c.name, 'camel');
+      return `    static let ${id} = Color(uiColor: .${id})`;
+    });
+    blocks.push(`extension UIColor {\n${ui.join('\n')}\n}\n`, `extension Color {\n${swiftUi.join('\n')}\n}\n`);
+  }
+  if (dimens.length) {
+    const sizes = dimens.map((d) => `    static let ${nativeName(d.name, 'camel')}: CGFloat = ${d.px}`);
+    blocks.push(`enum TokenSize {\n${sizes.join('\n')}\n}\n`);
+  }
+  return blocks.join('\n');
+}
 
 /* ---------------------------------------------------------------
-   OPTIONAL: REWRITE CSS WITH var(...)
+   REWRITE CSS WITH var(...)
 ---------------------------------------------------------------- */
-if (rewriteFile) {
+
+/**
+ * Replace token literals in the stylesheet with `var(...)` references.
+ *
+ * @param {string} css CSS source (after unit conversion).
+ * @param {object} tokens Color roles plus the scale orders/maps.
+ * @param {object} opts Resolved options.
+ * @returns {string} Rewritten CSS.
+ */
+function rewriteCss(css, tokens, opts) {
+  const { features } = opts;
+  const {
+    colorToVar,
+    ffMap,
+    fsMap,
+    lhMap,
+    fwMap,
+    lsMap,
+    spacingMap,
+    borderWidthMap,
+    radiusMap,
+    shadowMap,
+    durationMap,
+    easeMap,
+  } = tokens;
   let rewritten = css;
+  // custom property declarations are the author's; their values are never rewritten
+  const rewriteValues = (source, transform) =>
+    rewriteByProp(source, (prop, val, entry) => (prop.startsWith('--') ? val : transform(prop, val, entry)));
+
+  // Responsive tokens first: the whole value becomes the token, in the base rule and every media block
+  if (tokens.responsive.length) {
+    rewritten = rewriteValues(rewritten, (prop, val, entry) => {
+      const name = responsiveName(entry, tokens.responsive);
+      return name ? `var(${name})` : val;
+    });
+  }
 
-  // Colors
+  // Colors (declaration values only; strings, url() and var() fallbacks are left alone)
   if (features.includes('colors')) {
-    const lits = [...colorToVar.keys()].sort((a, b) => b.length - a.length);
-    for (const lit of lits) rewritten = replaceAll(rewritten, lit, `var(${colorToVar.get(lit)})`);
+    rewritten = rewriteValues(rewritten, (prop, val) =>
+      mapColors(val, prop, (c) => {
+        const vname = colorToVar.get(colorKey(c));
+        return vname ? `var(${vname})` : c;
+      })
+    );
   }
 
   // Typography
   if (features.includes('typography')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!fontFamilyPropRE.test(prop)) return val;
       const lit = normalizeFontFamilyList(val);
       const vname = ffMap.get(lit);
@@ -836,28 +4414,28 @@ if (rewriteFile) {
     });
 
     // font-size
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!fontSizePropRE.test(prop)) return val;
       return safeReplaceMap(val, fsMap);
     });
     // line-height
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!lineHeightPropRE.test(prop)) return val;
       return safeReplaceMap(val, lhMap);
     });
     // font-weight
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!fontWeightPropRE.test(prop)) return val;
       return safeReplaceMap(val, fwMap);
     });
     // letter-spacing
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!letterSpacingPropRE.test(prop)) return val;
       return safeReplaceMap(val, lsMap);
     });
 
     // shorthand: font: [style] [variant] [weight] <size>[/<line-height>] <family...>
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!/^font$/.test(prop)) return val;
 
       // 1) weight (bold/400/etc)
@@ -892,25 +4470,23 @@ if (rewriteFile) {
 
   // Spacing
   if (features.includes('spacing')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!lenPropsRE.test(prop)) return val;
-      for (const [lit, vname] of spacingMap) val = replaceAll(val, lit, `var(${vname})`);
-      return val;
+      return safeReplaceMap(val, spacingMap);
     });
   }
 
   // Border widths
   if (features.includes('borders')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
-      if (!/^border/.test(prop) && !/^outline/.test(prop)) return val;
-      for (const [lit, vname] of borderWidthMap) val = replaceAll(val, lit, `var(${vname})`);
-      return val;
+    rewritten = rewriteValues(rewritten, (prop, val) => {
+      if (!borderWidthPropRE.test(prop)) return val;
+      return safeReplaceMap(val, borderWidthMap);
     });
   }
 
   // Radius
   if (features.includes('radius')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!radiusPropRE.test(prop)) return val;
       const lit = normalizeRadius(val);
       const vname = radiusMap.get(lit);
@@ -920,7 +4496,7 @@ if (rewriteFile) {
 
   // Shadows
   if (features.includes('shadows')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!shadowPropRE.test(prop)) return val;
       const lit = val.replace(/\s+/g, ' ').trim();
       const vname = shadowMap.get(lit);
@@ -930,26 +4506,80 @@ if (rewriteFile) {
 
   // Motion
   if (features.includes('motion')) {
-    rewritten = rewriteByProp(rewritten, (prop, val) => {
+    rewritten = rewriteValues(rewritten, (prop, val) => {
       if (!motionPropRE.test(prop)) return val;
-      for (const [lit, vname] of durationMap) val = replaceAll(val, lit, `var(${vname})`);
-      for (const [lit, vname] of easeMap) val = replaceAll(val, lit, `var(${vname})`);
-      return val;
+      return safeReplaceMap(safeReplaceMap(val, durationMap), easeMap);
     });
   }
 
-  const finalCss = `/* Generated tokens */\n${tokensCss}\n/* Original CSS with replacements */\n${rewritten}`;
-  fs.writeFileSync(rewriteFile, finalCss, 'utf8');
+  // Preprocessor targets: swap the var(--x) references we inserted for $x / @x
+  const sigil = { scss: '$', styl: '$', less: '@' }[opts.rewriteTarget];
+  if (sigil) {
+    const names = new Set(tokenGroups(tokens, opts).flatMap((g) => g.items.map((it) => it.name)));
+    rewritten = rewriteValues(rewritten, (prop, val) => {
+      val = val.replace(/var\((--[\w-]+)\)/g, (m, name) => (names.has(name) ? sigil + name.slice(2) : m));
+      // Sass reads `$a / $b` (font shorthand) as division; interpolation keeps the slash
+      return opts.rewriteTarget === 'scss'
+        ? val.replace(/(\$[\w-]+)\s*\/\s*(\$[\w-]+)/g, '#{$1} / #{$2}')
+        : val;
+    });
+  }
+
+  return rewritten;
 }
 
 /* ---------------------------------------------------------------
-   OPTIONAL: MANIFEST JSON
+   MANIFEST JSON
 ---------------------------------------------------------------- */
-if (manifestFile) {
-  const manifest = {
+
+/**
+ * Build the JSON manifest (variable name > literal) for every token group.
+ *
+ * @param {object} tokens Color roles plus the scale orders/maps.
+ * @param {object} opts Resolved options.
+ * @returns {object} Manifest object, ready for `JSON.stringify`.
+ */
+function buildManifest(tokens, opts) {
+  const { features, algorithm } = opts;
+  const {
+    roles,
+    seededColors,
+    numericColorMap,
+    palettes,
+    snapped,
+    ffMap,
+    fsMap,
+    lhMap,
+    fwMap,
+    lsMap,
+    spacingMap,
+    borderWidthMap,
+    radiusMap,
+    shadowMap,
+    durationMap,
+    easeMap,
+    mergedColors,
+    contrast,
+  } = tokens;
+  return {
     colors: {
-      semantic: Object.fromEntries([...semanticMap.entries()].map(([lit, v]) => [v, lit])),
+      semantic: Object.fromEntries(Object.entries(roles).filter(([, lit]) => lit)),
       numbered: Object.fromEntries([...numericColorMap.entries()].map(([lit, v]) => [v, lit])),
+      ...(seededColors.size
+        ? { seeded: Object.fromEntries([...seededColors].map(([lit, v]) => [v, lit])) }
+        : {}),
+      ...(Object.keys(mergedColors).length ? { merged: mergedColors } : {}),
+      ...(Object.keys(palettes).length
+        ? {
+            palettes: Object.fromEntries(
+              Object.entries(palettes).map(([role, steps]) => [
+                role,
+                Object.fromEntries(steps.map((s) => [s.name, rgbaToCss(s.rgba)])),
+              ])
+            ),
+            snapped: Object.fromEntries(snapped),
+          }
+        : {}),
     },
     typography: features.includes('typography')
       ? {
@@ -980,53 +4610,597 @@ if (manifestFile) {
           easing: Object.fromEntries([...easeMap.entries()].map(([lit, v]) => [v, lit])),
         }
       : {},
-    meta: { input: path.basename(inFile), algorithm, features },
+    breakpoints: features.includes('breakpoints')
+      ? Object.fromEntries([...tokens.bpMap.entries()].map(([lit, v]) => [v, lit]))
+      : {},
+    ...(tokens.responsive.length
+      ? {
+          responsive: Object.fromEntries(
+            tokens.responsive.map(({ name, selector, prop, value, media }) => [
+              name,
+              { selector, property: prop, value, media: Object.fromEntries(media.map((m) => [m.key, m.value])) },
+            ])
+          ),
+        }
+      : {}),
+    ...(opts.fluid
+      ? {
+          fluid: Object.fromEntries([
+            ...[...tokens.fluid.scale].flatMap(([lit, clamp]) =>
+              [fsMap.get(lit), spacingMap.get(lit)].filter(Boolean).map((name) => [name, clamp])
+            ),
+            ...tokens.fluid.responsive,
+          ]),
+        }
+      : {}),
+    ...(tokens.scale
+      ? {
+          scale: {
+            fontSizes: tokens.scale.fontSizes && {
+              ratio: tokens.scale.fontSizes.ratio,
+              name: tokens.scale.fontSizes.name,
+              base: tokens.scale.fontSizes.base,
+              snapped: Object.fromEntries(tokens.scale.fontSizes.snapped),
+            },
+            spacing: tokens.scale.spacing && {
+              grid: `${tokens.scale.spacing.grid}px`,
+              snapped: Object.fromEntries(tokens.scale.spacing.snapped),
+            },
+          },
+        }
+      : {}),
+    ...(contrast ? { contrast } : {}),
+    meta: { input: opts.input, algorithm, features },
+  };
+}
+
+/* ---------------------------------------------------------------
+   DESIGN TOKENS (W3C DTCG) EXPORT + SEED IMPORT
+   Tokens are grouped by kind (`color`, `fontSize`, `spacing`…), keyed by
+   their name without the kind's prefix: `--color-primary` > `color.primary`,
+   `--space-1` > `spacing.1`, `--c01` > `color.c01`. The variable name rides
+   along in `$extensions["tokenize-css"].name` so a seed reads it back as is.
+---------------------------------------------------------------- */
+
+/**
+ * Build a Design Tokens Community Group document from the token tables.
+ * Dark values ride along in `$extensions["tokenize-css"].dark`. A role that
+ * holds an input variable is an alias of that variable's token. Values DTCG
+ * cannot express (`currentColor`, `steps()` easing, multi-value radii) are left out.
+ *
+ * @param {object} tokens Token tables.
+ * @param {object} opts Resolved options.
+ * @returns {object} DTCG JSON document.
+ */
+function buildDtcg(tokens, opts) {
+  const { features } = opts;
+  const { roles, seededColors, palettes, darkColors } = tokens;
+  const prefixes = {
+    color: 'color',
+    fontFamily: 'font-family',
+    fontSize: opts.prefixFontSize,
+    lineHeight: opts.prefixLineHeight,
+    fontWeight: opts.prefixFontWeight,
+    letterSpacing: opts.prefixLetterSpacing,
+    spacing: opts.prefixSpace,
+    borderWidth: 'border-width',
+    radius: 'radius',
+    shadow: opts.prefixShadow,
+    duration: opts.prefixDuration,
+    ease: opts.prefixEase,
+    breakpoint: opts.prefixBreakpoint,
+  };
+  const pathOf = (kind, name) => {
+    const bare = name.replace(/^--/, '');
+    const prefix = `${prefixes[kind]}-`;
+    return [kind, bare.startsWith(prefix) ? bare.slice(prefix.length) : bare];
+  };
+  const doc = {};
+  const put = (kind, name, $type, $value, extra) => {
+    if ($value == null) return;
+    const [group, key] = pathOf(kind, name);
+    (doc[group] = doc[group] || {})[key] = { $type, $value, $extensions: { 'tokenize-css': { name, ...extra } } };
+  };
+  const color = (name, rgba) => {
+    if (!rgba) return;
+    // `--color-primary: var(--brand)` in tokensCss is `{color.brand}` here
+    const declared = roles[name] && seededColors.get(roles[name]);
+    const alias = opts.declaredProps && opts.declaredProps.has(declared) && declared !== name;
+    const $value = alias ? `{${pathOf('color', declared).join('.')}}` : dtcgColor(rgba);
+    put('color', name, 'color', $value, { dark: dtcgColor(darkColors.get(name)) });
+  };
+
+  if (features.includes('colors')) {
+    for (const v of colorVars(tokens)) color(v, toRgba(varToColor(v, tokens) || '#000'));
+    for (const steps of Object.values(palettes)) steps.forEach((s) => color(s.name, s.rgba));
+  }
+  const each = (kind, map, $type, toValue) => map.forEach((name, lit) => put(kind, name, $type, toValue(lit)));
+  if (features.includes('typography')) {
+    each('fontFamily', tokens.ffMap, 'fontFamily', (v) =>
+      splitTopLevel(v, ',').map((f) => f.replace(/^(['"])(.*)\1$/, '$2'))
+    );
+    each('fontSize', tokens.fsMap, 'dimension', dtcgDimension);
+    tokens.lhMap.forEach((name, lit) =>
+      /^[\d.]+$/.test(lit)
+        ? put('lineHeight', name, 'number', Number(lit))
+        : put('lineHeight', name, 'dimension', dtcgDimension(lit))
+    );
+    each('fontWeight', tokens.fwMap, 'fontWeight', (v) => (/^\d+$/.test(v) ? Number(v) : v));
+    each('letterSpacing', tokens.lsMap, 'dimension', dtcgDimension);
+  }
+  if (features.includes('spacing')) each('spacing', tokens.spacingMap, 'dimension', dtcgDimension);
+  if (features.includes('borders')) each('borderWidth', tokens.borderWidthMap, 'dimension', dtcgDimension);
+  if (features.includes('radius')) each('radius', tokens.radiusMap, 'dimension', dtcgDimension);
+  if (features.includes('shadows')) each('shadow', tokens.shadowMap, 'shadow', dtcgShadow);
+  if (features.includes('motion')) {
+    each('duration', tokens.durationMap, 'duration', (v) => ({ value: toMs(v), unit: 'ms' }));
+    each('ease', tokens.easeMap, 'cubicBezier', dtcgCubicBezier);
+  }
+  if (features.includes('breakpoints')) each('breakpoint', tokens.bpMap, 'dimension', dtcgDimension);
+  for (const { name, prop, value, media } of tokens.responsive) {
+    // DTCG has no modes yet: the base value, with the per-media values alongside
+    const kind = responsiveKind(prop);
+    const $type = kind === 'lineHeight' && /^[\d.]+$/.test(value) ? 'number' : 'dimension';
+    const toValue = (v) => ($type === 'number' ? Number(v) : dtcgDimension(v));
+    const byMedia = Object.fromEntries(media.map((m) => [m.key, toValue(m.value)]));
+    put(kind, name, $type, toValue(value), { media: byMedia });
+  }
+  return doc;
+}
+
+/**
+ * The kind of value a responsive token holds, from the property it was found on.
+ *
+ * @param {string} prop CSS property (one `findResponsive()` considers).
+ * @returns {'fontSize'|'lineHeight'|'letterSpacing'|'radius'|'spacing'} Token kind.
+ */
+function responsiveKind(prop) {
+  if (fontSizePropRE.test(prop)) return 'fontSize';
+  if (lineHeightPropRE.test(prop)) return 'lineHeight';
+  if (letterSpacingPropRE.test(prop)) return 'letterSpacing';
+  if (radiusPropRE.test(prop)) return 'radius';
+  return 'spacing';
+}
+
+/**
+ * Flatten a DTCG document into seed tokens with CSS values.
+ * Group `$type`s are inherited and `{group.token}` aliases are resolved;
+ * both the current object values and the older string values (as written by
+ * Tokens Studio) are accepted. Composite types without a CSS equivalent are skipped.
+ *
+ * @param {object} doc Parsed DTCG JSON.
+ * @returns {{name:string, type:string, value:string}[]} Seed tokens, named by
+ *   `$extensions["tokenize-css"].name` (written by `buildDtcg()`) or `--<path-joined-by-dashes>`.
+ */
+function readDtcgSeed(doc) {
+  const flat = new Map(); // dotted path > {type, value}
+  const walk = (node, path, type) => {
+    if (!node || typeof node !== 'object') return;
+    const t = node.$type || type;
+    if ('$value' in node) {
+      const own = node.$extensions && node.$extensions['tokenize-css'];
+      const name = own && typeof own.name === 'string' ? own.name : `--${path.join('-')}`;
+      flat.set(path.join('.'), { type: t, value: node.$value, name });
+      return;
+    }
+    for (const [k, child] of Object.entries(node)) if (!k.startsWith('$')) walk(child, [...path, k], t);
+  };
+  walk(doc, [], null);
+
+  const resolve = (value, depth = 0) => {
+    const alias = typeof value === 'string' && /^\{(.+)\}$/.exec(value.trim());
+    if (!alias) return value;
+    const target = flat.get(alias[1]);
+    return target && depth < 10 ? resolve(target.value, depth + 1) : null;
+  };
+  const out = [];
+  for (const { type, value, name } of flat.values()) {
+    const css = dtcgValueToCss(type, resolve(value));
+    if (css != null) out.push({ name, type, value: css });
+  }
+  return out;
+}
+
+/**
+ * Read a `seed` option into seed tokens. A string is a tokens stylesheet
+ * (see `readCssSeed()`); an object with `meta` and `colors` is a manifest
+ * written by `--manifest` (every `--name: value` entry in it is a seed);
+ * any other object is a DTCG document.
+ *
+ * @param {string|object} seed Tokens CSS text, parsed manifest or parsed DTCG JSON.
+ * @returns {{name:string, type:string, value:string}[]} Seed tokens.
+ */
+function readSeed(seed) {
+  if (typeof seed === 'string') return readCssSeed(seed);
+  if (!seed.meta || !seed.colors) return readDtcgSeed(seed);
+  const out = [];
+  const walk = (node) => {
+    for (const [k, v] of Object.entries(node)) {
+      if (typeof v === 'string' && k.startsWith('--')) out.push({ name: k, type: seedType(v), value: v });
+      else if (v && typeof v === 'object' && !Array.isArray(v)) walk(v);
+    }
+  };
+  walk(seed);
+  return out;
+}
+
+/**
+ * Collect seed tokens from a tokens stylesheet: custom properties declared
+ * outside at-rules by selectors that do not mention `dark`, i.e. the light
+ * theme of a file written by `--out`. `light-dark()` values contribute their
+ * light half; the first declaration of a name wins.
+ *
+ * @param {string} css Tokens CSS.
+ * @returns {{name:string, type:string, value:string}[]} Seed tokens.
+ */
+function readCssSeed(css) {
+  return customPropSeeds(declaredCustomProps(parseEntries(css)));
+}
+
+/**
+ * Guess the DTCG `$type` of a plain CSS value so CSS and manifest seeds go
+ * through the same `SEED_KINDS` matching as DTCG ones.
+ *
+ * @param {string} value CSS value.
+ * @returns {string} `color`, `dimension`, `number`, `duration`, `cubicBezier`,
+ *   `fontWeight`, `shadow` or `fontFamily`.
+ */
+function seedType(value) {
+  const v = value.trim();
+  if (/^clamp\(/i.test(v)) return 'dimension'; // --fluid sizes
+  if (/^-?\d*\.?\d+m?s$/i.test(v)) return 'duration';
+  if (/^(cubic-bezier|steps)\(|^(ease|ease-in|ease-out|ease-in-out|linear)$/i.test(v)) return 'cubicBezier';
+  if (/^-?\d*\.?\d+$/.test(v)) return 'number';
+  if (/^(bold|bolder|lighter)$/i.test(v)) return 'fontWeight';
+  if (v.split(/\s+/).every((part) => /^-?\d*\.?\d+[a-z%]+$/i.test(part))) return 'dimension';
+  const colors = extractColors(v, 'color');
+  if (colors.length === 1 && colors[0] === v) return 'color';
+  if (colors.length && /\d/.test(v)) return 'shadow';
+  return 'fontFamily';
+}
+
+/**
+ * Seed names for one token kind (see `SEED_KINDS`), keyed by normalised value.
+ * A `dimension`/`number` seed only counts when its name carries the kind's
+ * prefix or hint (`--space-*`, `--radius-*`, …) or, for input variables, when
+ * it is referenced from one of the kind's properties; when several seeds share
+ * a value, the first in document order wins.
+ *
+ * @param {object} opts Resolved options (`seedTokens` and prefixes).
+ * @param {string} kind Key of `SEED_KINDS`.
+ * @returns {{get:(lit:string)=>string|null, names:Set<string>}} Lookup for `makeNameFactory()`.
+ */
+function seedsFor(opts, kind) {
+  if (!opts.seedTokens || !opts.seedTokens.length) return NO_SEEDS;
+  const { types, prefix, hint, props } = SEED_KINDS[kind];
+  const ownPrefix = prefix ? `--${opts[prefix]}-` : null;
+  const byKey = new Map();
+  for (const t of opts.seedTokens) {
+    if (!types.includes(t.type)) continue;
+    const shared = t.type === 'dimension' || t.type === 'number';
+    const named = (ownPrefix && t.name.startsWith(ownPrefix)) || (hint && hint.test(t.name));
+    const usedAs = props && t.usedIn && [...t.usedIn].some((p) => props.test(p));
+    if (shared && !named && !usedAs) continue;
+    const key = seedKey(kind, t.value, opts.units);
+    if (!byKey.has(key)) byKey.set(key, t.name);
+  }
+  return { get: (lit) => byKey.get(seedKey(kind, lit, opts.units)) || null, names: new Set(byKey.values()) };
+}
+
+/**
+ * Normalise a value so seed and source literals compare equal across syntax:
+ * colors by RGBA, durations by milliseconds, easings by their curve, font
+ * lists without quotes, px/rem/em lengths of `px` kinds by pixels, everything
+ * else by case, whitespace and number format.
+ *
+ * @param {string} kind Key of `SEED_KINDS`.
+ * @param {string} value CSS value.
+ * @param {{rootPx?:number, contextPx?:number}} [units] Pixel bases for rem/em.
+ * @returns {string} Comparison key.
+ */
+function seedKey(kind, value, units) {
+  let v = String(value).trim().toLowerCase();
+  if (kind === 'color') {
+    const rgba = toRgba(v);
+    return rgba ? rgbaToCss(rgba) : v;
+  }
+  if (kind === 'duration') return String(toMs(v));
+  if (kind === 'ease') return (dtcgCubicBezier(v) || [v]).join(',');
+  if (kind === 'fontFamily') return splitTopLevel(v, ',').map((f) => f.replace(/^(['"])(.*)\1$/, '$2')).join(',');
+  if (kind === 'shadow') v = mapColors(v, 'box-shadow', (c) => (toRgba(c) ? rgbaToCss(toRgba(c)) : c));
+  if (SEED_KINDS[kind].px) {
+    const fluid = /^clamp\((.*)\)$/.exec(v); // a --fluid token stands for its largest (detected) size
+    if (fluid) v = splitTopLevel(fluid[1], ',').pop();
+    v = v.replace(/-?\d*\.?\d+(?:px|rem|em)\b/g, (len) => `${round(lenToPx(len, units), 3) || 0}px`).replace(/\b0px\b/g, '0');
+  }
+  if (kind === 'shadow') {
+    // a zero spread is the default: `0 1px 2px 0 #000` = `0 1px 2px #000`
+    v = splitTopLevel(v, ',')
+      .map((layer) => layer.trim().replace(/^((?:inset\s+)?(?:-?[\d.]+(?:px)?\s+){3})0\s+/, '$1'))
+      .join(', ');
+  }
+  return v.replace(/\s+/g, ' ').replace(/-?\d*\.?\d+/g, (n) => String(parseFloat(n)));
+}
+
+/**
+ * Convert a DTCG `$value` to a CSS value string.
+ *
+ * @param {string} type Token `$type`.
+ * @param {*} value Resolved `$value`.
+ * @returns {string|null} CSS value, or `null` when the type has no CSS form here.
+ */
+function dtcgValueToCss(type, value) {
+  if (value == null) return null;
+  if (typeof value !== 'object') return String(value);
+  if (type === 'color') {
+    const opaque = value.alpha == null || value.alpha === 1;
+    const srgb = value.colorSpace === 'srgb' || !value.colorSpace;
+    if (value.hex && ((opaque && srgb) || !Array.isArray(value.components))) return value.hex;
+    const space = value.colorSpace === 'xyz' ? 'xyz-d65' : value.colorSpace || 'srgb';
+    const coords = value.components.map((c) => (c === 'none' ? 'none' : round(c, 4)));
+    const alpha = value.alpha != null && value.alpha < 1 ? ` / ${value.alpha}` : '';
+    if (PREDEFINED_SPACES.test(space)) return `color(${space} ${coords.join(' ')}${alpha})`;
+    const pct = space === 'hsl' || space === 'hwb' ? (c, i) => (i ? `${c}%` : c) : (c) => c;
+    return `${space}(${coords.map(pct).join(' ')}${alpha})`;
+  }
+  if (type === 'dimension' || type === 'duration') return `${value.value}${value.unit}`;
+  if (type === 'cubicBezier' && Array.isArray(value)) return `cubic-bezier(${value.join(', ')})`;
+  if (type === 'fontFamily' && Array.isArray(value)) {
+    return value.map((f) => (/\s/.test(f) ? `'${f}'` : f)).join(', ');
+  }
+  if (type === 'shadow') {
+    const layer = (l) => {
+      const len = (d) => (d == null ? null : dtcgValueToCss('dimension', d));
+      const parts = [len(l.offsetX), len(l.offsetY), len(l.blur), len(l.spread)].filter(Boolean);
+      return `${l.inset ? 'inset ' : ''}${parts.join(' ')} ${dtcgValueToCss('color', l.color)}`;
+    };
+    return (Array.isArray(value) ? value : [value]).map(layer).join(', ');
+  }
+  return null;
+}
+
+/**
+ * DTCG color value (sRGB components plus a hex fallback).
+ *
+ * @param {{r:number,g:number,b:number,a:number}|null} rgba RGBA color.
+ * @returns {{colorSpace:string, components:number[], alpha:number, hex:string}|null} DTCG color.
+ */
+function dtcgColor(rgba) {
+  if (!rgba) return null;
+  return {
+    colorSpace: 'srgb',
+    components: [rgba.r, rgba.g, rgba.b].map((c) => round(c / 255, 4)),
+    alpha: round(rgba.a, 4),
+    hex: rgbaToCss({ ...rgba, a: 1 }),
+  };
+}
+
+/**
+ * DTCG dimension value for a single CSS length. DTCG itself only defines `px`
+ * and `rem`; other units are passed through as-is.
+ *
+ * @param {string} lit CSS length such as `0.5rem` or `0`.
+ * @returns {{value:number, unit:string}|null} Dimension, or `null` for non-lengths.
+ */
+function dtcgDimension(lit) {
+  const m = /^(-?\d*\.?\d+)([a-z%]*)$/i.exec(String(lit).trim());
+  if (!m || (!m[2] && parseFloat(m[1]) !== 0)) return null;
+  return { value: parseFloat(m[1]), unit: m[2].toLowerCase() || 'px' };
+}
+
+/**
+ * DTCG shadow value (one object per layer, an array for several).
+ *
+ * @param {string} lit CSS `box-shadow` value.
+ * @returns {object|object[]|null} Shadow, or `null` when a layer has no explicit color.
+ */
+function dtcgShadow(lit) {
+  const layers = [];
+  for (const layer of splitTopLevel(lit, ',')) {
+    const parts = splitTopLevel(layer, ' ');
+    const colorLit = parts.find((p) => extractColors(p, 'box-shadow').join('') === p);
+    const rgba = colorLit && toRgba(colorLit);
+    const lens = parts.filter((p) => p !== colorLit && p !== 'inset').map(dtcgDimension);
+    if (!rgba || lens.length < 2 || lens.length > 4 || lens.includes(null)) return null;
+    const zero = { value: 0, unit: 'px' };
+    layers.push({
+      color: dtcgColor(rgba),
+      offsetX: lens[0],
+      offsetY: lens[1],
+      blur: lens[2] || zero,
+      spread: lens[3] || zero,
+      ...(parts.includes('inset') ? { inset: true } : {}),
+    });
+  }
+  return layers.length === 1 ? layers[0] : layers.length ? layers : null;
+}
+
+/**
+ * Control points of an easing keyword or `cubic-bezier()`.
+ *
+ * @param {string} lit CSS easing function.
+ * @returns {number[]|null} `[x1, y1, x2, y2]`, or `null` for `steps()` and unknown values.
+ */
+function dtcgCubicBezier(lit) {
+  const keywords = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1],
   };
-  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+  const v = String(lit).trim().toLowerCase();
+  if (keywords[v]) return keywords[v];
+  const m = /^cubic-bezier\(([^)]*)\)$/.exec(v);
+  const pts = m && m[1].split(',').map(Number);
+  return pts && pts.length === 4 && pts.every((n) => !Number.isNaN(n)) ? pts : null;
 }
 
 /* ---------------------------------------------------------------
-   LOGS
+   CONTRAST REPORT
 ---------------------------------------------------------------- */
-console.log(`Tokens > ${path.relative(process.cwd(), outFile)}`);
-if (rewriteFile) console.log(`Rewritten CSS > ${path.relative(process.cwd(), rewriteFile)}`);
-if (manifestFile) console.log(`Manifest > ${path.relative(process.cwd(), manifestFile)}`);
 
-/* ===============================================================
-   HELPERS
-=============================================================== */
+/**
+ * Pair every rule's `color` with the `background`/`background-color` of the
+ * same rule (same selector and at-rule chain), add the `CONTRAST_PAIRS` roles,
+ * and grade each pair against WCAG 2.x in the light and dark themes.
+ * `var()` references to declared custom properties are resolved first.
+ * Pairs without a color on both sides (`inherit`, a missing background), with
+ * an invisible foreground, a translucent background or a background image or
+ * gradient are skipped, since what shows behind the text is unknown. Rules
+ * that only apply in dark mode (see `inDarkScope()`) are graded as written,
+ * for the dark theme only (`light` is `null`).
+ *
+ * @param {object[]} entries Declarations from `parseEntries()`.
+ * @param {object} tokens Token tables including `colorToVar` and `darkColors`.
+ * @param {Map<string, string>} [declared] Output of `declaredCustomProps()`.
+ * @returns {{summary:{pairs:number, failAA:number, failAAA:number}, pairs:object[]}} Report.
+ */
+function buildContrastReport(entries, tokens, declared = new Map()) {
+  const { roles, colorToVar, darkColors } = tokens;
+  const byRule = new Map(); // at-rules + selector > {selector, dark, fg, bg, image}
+  for (const e of entries) {
+    const isFg = e.prop === 'color';
+    if (!isFg && !/^background(-color|-image)?$/.test(e.prop)) continue;
+    const atRules = e.atRules.map((a) => `@${a.name} ${a.prelude}`.trim());
+    const key = [...atRules, e.selector].join(' ');
+    if (!byRule.has(key)) byRule.set(key, { selector: key, dark: inDarkScope(e) });
+    const rule = byRule.get(key);
+    const value = substituteVars(e.value, declared);
+    if (!isFg && /(?:^|[^\w-])(?:[\w-]*gradient|url|image|image-set|cross-fade|element)\(/i.test(value)) {
+      rule.image = true; // text sits on the image, not on the fallback color
+      continue;
+    }
+    if (e.prop === 'background-image') continue;
+    const lit = extractColors(value, e.prop).map(colorKey).pop();
+    rule[isFg ? 'fg' : 'bg'] = lit && toRgba(lit) ? lit : null;
+  }
+
+  const pairs = new Map(); // "scope fg bg" > pair
+  const add = (fg, bg, where, dark = false) => {
+    const key = `${dark ? 'dark' : 'both'} ${fg} ${bg}`;
+    if (!pairs.has(key)) pairs.set(key, { fg, bg, selectors: [], roles: [], ...(dark ? { scope: 'dark' } : {}) });
+    const p = pairs.get(key);
+    if (where.roles) p.roles.push(where.roles);
+    else if (!p.selectors.includes(where.selector)) p.selectors.push(where.selector);
+  };
+  const visible = (fg, bg) => toRgba(fg).a > 0 && toRgba(bg).a >= 1;
+  for (const r of byRule.values()) {
+    if (r.fg && r.bg && !r.image && visible(r.fg, r.bg)) add(r.fg, r.bg, r, r.dark);
+  }
+  for (const [fg, bg] of CONTRAST_PAIRS) {
+    if (roles[fg] && roles[bg] && toRgba(roles[fg]) && toRgba(roles[bg]) && visible(roles[fg], roles[bg])) {
+      add(roles[fg], roles[bg], { roles: `${fg} on ${bg}` });
+    }
+  }
+
+  const grade = (fg, bg) => {
+    const ratio = wcagContrast(fg, bg);
+    return { ratio: round(ratio, 2), aa: ratio >= 4.5, aaLarge: ratio >= 3, aaa: ratio >= 7 };
+  };
+  const dark = (lit) => darkColors.get(colorToVar.get(lit)) || toRgba(lit);
+  const out = [...pairs.values()].map((p) =>
+    p.scope === 'dark'
+      ? { ...p, light: null, dark: grade(toRgba(p.fg), toRgba(p.bg)) } // already the dark colors
+      : { ...p, light: grade(toRgba(p.fg), toRgba(p.bg)), dark: grade(dark(p.fg), dark(p.bg)) }
+  );
+  const fails = (level) => out.filter((p) => (p.light && !p.light[level]) || !p.dark[level]).length;
+  return {
+    summary: { pairs: out.length, failAA: fails('aa'), failAAA: fails('aaa') },
+    pairs: out,
+  };
+}
 
 /**
- * Replace every occurrence of `needle` within `hay`.
- * Special characters in `needle` are escaped so the replacement is literal.
+ * Render a contrast report as a Markdown table.
  *
- * @param {string} hay Source string to operate on.
- * @param {string} needle Substring to search for.
- * @param {string} replacement Replacement text for each occurrence.
- * @returns {string} String with all matches replaced.
+ * @param {ReturnType<typeof buildContrastReport>} report Output of `buildContrastReport()`.
+ * @returns {string} Markdown document.
  */
-function replaceAll(hay, needle, replacement) {
-  const safe = needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  return hay.replace(new RegExp(safe, 'g'), replacement);
+function contrastReportToMarkdown({ summary, pairs }) {
+  const mark = (ok) => (ok ? 'pass' : '**fail**');
+  const cell = (g) => (g ? `${g.ratio}:1 | ${mark(g.aa)} | ${mark(g.aaa)}` : '— | — | —');
+  const lines = [
+    '# Contrast report',
+    '',
+    `${summary.pairs} pairs, ${summary.failAA} failing AA, ${summary.failAAA} failing AAA (light or dark).`,
+    '',
+    '| Foreground | Background | Used by | Light | AA | AAA | Dark | AA | AAA |',
+    '| --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+  ];
+  for (const p of pairs) {
+    const usedBy = [...p.roles, ...p.selectors].map((s) => `\`${s.replace(/\|/g, '\\|')}\``).join(', ');
+    lines.push(`| \`${p.fg}\` | \`${p.bg}\` | ${usedBy} | ${cell(p.light)} | ${cell(p.dark)} |`);
+  }
+  return `${lines.join('\n')}\n`;
 }
 
+/* ===============================================================
+   HELPERS
+=============================================================== */
+
 /**
  * Rewrite every property value in a CSS source string.
- * The `transform` callback receives the property name and value and should
- * return the new value. Properties not matched remain untouched.
+ * The `transform` callback receives the property name, the value and the full
+ * declaration entry, and should return the new value. Only the value range of
+ * declarations whose value changed is spliced; everything else is untouched.
  *
  * @param {string} source Raw CSS text.
- * @param {(prop: string, value: string) => string} transform Transformer function.
+ * @param {(prop: string, value: string, entry: object) => string} transform Transformer function.
  * @returns {string} CSS with transformed declarations.
  */
 function rewriteByProp(source, transform) {
-  return source.replace(RULE_RE, (full, sel, decls) => {
-    const newDecls = decls.replace(PROP_RE, (m, prop, val) => {
-      const out = transform(prop.trim().toLowerCase(), val);
-      return `${prop}: ${out};`;
-    });
-    return `${sel}{${newDecls}}`;
-  });
+  const edits = [];
+  for (const e of parseEntries(source)) {
+    const out = transform(e.prop, e.value, e);
+    if (out !== e.value) edits.push({ start: e.valueStart, end: e.valueEnd, text: out });
+  }
+  return applyEdits(source, edits);
+}
+
+/**
+ * Apply non-overlapping text replacements given as source offsets.
+ *
+ * @param {string} source Original text.
+ * @param {Array<{start:number, end:number, text:string}>} edits Replacements.
+ * @returns {string} Edited text.
+ */
+function applyEdits(source, edits) {
+  let out = source;
+  for (const { start, end, text } of [...edits].sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, start) + text + out.slice(end);
+  }
+  return out;
+}
+
+/**
+ * Split a string on a separator that is not nested inside parentheses,
+ * brackets or quotes (selector lists, comma-separated values).
+ *
+ * @param {string} s Source string.
+ * @param {string} sep Single-character separator.
+ * @returns {string[]} Trimmed, non-empty parts.
+ */
+function splitTopLevel(s, sep) {
+  const parts = [];
+  let depth = 0,
+    quote = null,
+    last = 0;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(' || ch === '[') depth++;
+    else if (ch === ')' || ch === ']') depth = Math.max(0, depth - 1);
+    else if (ch === sep && depth === 0) {
+      parts.push(s.slice(last, i));
+      last = i + 1;
+    }
+  }
+  parts.push(s.slice(last));
+  return parts.map((p) => p.trim()).filter(Boolean);
 }
 
 /**
@@ -1047,17 +5221,124 @@ function pickBest(cands, scoreFn, markUsed) {
 
 /**
  * Resolve a CSS variable name back to its original color literal.
- * Searches both semantic and numeric color maps.
+ * Roles are read from `roles` directly: several roles may share one literal,
+ * and `semanticMap` (literal > var) only remembers the last of them.
  *
  * @param {string} v CSS variable name, e.g. `--color-1`.
+ * @param {{roles:Object<string,string>, seededColors:Map<string,string>,
+ *   numericColorMap:Map<string,string>}} param1 Color tables.
  * @returns {string|null} Matching color literal or `null` if not found.
  */
-function varToColor(v) {
-  for (const [lit, name] of semanticMap) if (name === v) return lit;
+function varToColor(v, { roles, seededColors, numericColorMap }) {
+  if (roles[v]) return roles[v];
+  for (const [lit, name] of seededColors) if (name === v) return lit;
   for (const [lit, name] of numericColorMap) if (name === v) return lit;
   return null;
 }
 
+/**
+ * List color variables in output order: semantic roles, seeded names, then numbered colors.
+ *
+ * @param {{roles:Object<string,string>, seededColors:Map<string,string>, remainingColors:string[],
+ *   numericColorMap:Map<string,string>}} tokens Output of `pickColorRoles()`.
+ * @returns {string[]} Variable names.
+ */
+function colorVars({ roles, seededColors, remainingColors, numericColorMap }) {
+  return [
+    ...Object.keys(roles).filter((k) => roles[k]),
+    ...new Set(seededColors.values()),
+    ...remainingColors.map((c) => numericColorMap.get(c)),
+  ];
+}
+
+/**
+ * Apply `fn` to the parts of a CSS value that may hold token literals.
+ * Strings, `url()` and `var()` references (including their fallbacks) and
+ * comments are passed through untouched.
+ *
+ * @param {string} value CSS declaration value.
+ * @param {(run: string) => string} fn Transformer for each unprotected run of text.
+ * @returns {string} Value with the unprotected runs transformed.
+ */
+function mapUnprotected(value, fn) {
+  const tokens = lexCss(value);
+  let out = '',
+    run = '',
+    k = 0;
+  while (k < tokens.length) {
+    const t = tokens[k];
+    const fnName = t.type === 'function' ? t.value.toLowerCase() : '';
+    let end = k + 1;
+    if (fnName === 'var' || fnName === 'url') {
+      // protect the whole call up to its matching parenthesis
+      for (let depth = 1; end < tokens.length && depth; end++) {
+        const type = tokens[end].type;
+        if (type === 'function' || type === '(') depth++;
+        else if (type === ')') depth--;
+      }
+    } else if (!/^(string|bad-string|url|bad-url|comment)$/.test(t.type)) {
+      run += value.slice(t.start, t.end);
+      k++;
+      continue;
+    }
+    out += fn(run) + value.slice(t.start, tokens[end - 1].end);
+    run = '';
+    k = end;
+  }
+  return out + fn(run);
+}
+
+/**
+ * Replace every color literal in a declaration value, ignoring strings,
+ * `url()` and `var()` fallbacks. Bare keywords (`white`, `transparent`) only
+ * count as colors in properties that accept a color, and color functions
+ * only when `parseColorFunction()` can read them (not `rgb(calc(…) 0 0)` or
+ * relative colors), so a literal is never swapped for a value it doesn't hold.
+ *
+ * @param {string} value CSS declaration value.
+ * @param {string} prop Property the value belongs to.
+ * @param {(color: string) => string} fn Receives each trimmed literal, returns its replacement.
+ * @returns {string} Value with replacements applied.
+ */
+function mapColors(value, prop, fn) {
+  const keywords = namedColorPropRE.test(prop);
+  return mapUnprotected(value, (run) =>
+    run.replace(COLOR_RE, (c) => {
+      if (c.includes('(')) return parseColorFunction(c.trim().toLowerCase()) ? fn(c.trim()) : c;
+      return keywords || c.startsWith('#') ? fn(c.trim()) : c;
+    })
+  );
+}
+
+/**
+ * The spelling a color literal is counted and looked up under. Hex digits,
+ * keywords and function names are case-insensitive, so `#ABCDEF` and
+ * `Transparent` share a token with `#abcdef` and `transparent`.
+ *
+ * @param {string} lit Color literal.
+ * @returns {string} Lowercased literal (`currentColor` keeps its usual casing).
+ */
+function colorKey(lit) {
+  const key = lit.trim().toLowerCase();
+  return key === 'currentcolor' ? 'currentColor' : key;
+}
+
+/**
+ * Extract color literals from a declaration value (see `mapColors()`).
+ *
+ * @param {string} value CSS declaration value.
+ * @param {string} prop Property the value belongs to.
+ * @returns {string[]} Trimmed color literals in order of appearance.
+ */
+function extractColors(value, prop) {
+  const out = [];
+  mapColors(value, prop, (c) => {
+    out.push(c);
+    return c;
+  });
+  return out;
+}
+
 /* Lengths / units */
 
 /**
@@ -1076,9 +5357,10 @@ function extractLengths(value) {
  * Supports px, rem, em and percentage/viewport units; unknown units yield 0.
  *
  * @param {string} lit Length token to convert.
+ * @param {{rootPx?:number, contextPx?:number}} [param1] Pixel bases for rem/em.
  * @returns {number} Pixel value or 0 when the token cannot be parsed.
  */
-function lenToPx(lit) {
+function lenToPx(lit, { rootPx = 16, contextPx = 16 } = {}) {
   const m = lit.match(/^(-?\d*\.?\d+)(px|rem|em|%|vh|vw)$/);
   if (!m) return 0;
   const n = parseFloat(m[1]);
@@ -1087,9 +5369,9 @@ function lenToPx(lit) {
     case 'px':
       return n;
     case 'rem':
-      return n * ROOT_SIZE;
+      return n * rootPx;
     case 'em':
-      return n * CONTEXT_SIZE;
+      return n * contextPx;
     case '%':
     case 'vh':
     case 'vw':
@@ -1104,14 +5386,15 @@ function lenToPx(lit) {
  * Non-pixel values or values not divisible by four are returned unchanged.
  *
  * @param {string} lit Length literal such as `16px`.
+ * @param {{rootPx?:number}} [param1] Pixels per `1rem`.
  * @returns {string} Converted value or the original string.
  */
-function preferRem(lit) {
+function preferRem(lit, { rootPx = 16 } = {}) {
   const m = lit.match(/^(-?\d*\.?\d+)(px)$/);
   if (!m) return lit;
   const px = parseFloat(m[1]);
   if (px % 4 === 0) {
-    const rem = +(px / ROOT_SIZE).toFixed(4);
+    const rem = +(px / rootPx).toFixed(4);
     return `${stripZero(rem)}rem`;
   }
   return lit;
@@ -1195,6 +5478,42 @@ function toMs(str) {
   return /ms$/.test(str) ? n : n * 1000;
 }
 
+/**
+ * Turn a custom property name into a native identifier.
+ * `snake` suits Android resource names, `camel` Swift and `pascal` Kotlin
+ * constants; a leading digit gets a `t` prefix so the result stays valid.
+ *
+ * @param {string} name Custom property name (`--color-surface-1`).
+ * @param {'snake'|'camel'|'pascal'} style Identifier style.
+ * @returns {string} Identifier (`color_surface_1`, `colorSurface1`, `ColorSurface1`).
+ */
+function nativeName(name, style) {
+  const parts = name.replace(/^--/, '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  if (/^\d/.test(parts[0] || '0')) parts.unshift('t');
+  if (style === 'snake') return parts.join('_');
+  const cap = (p) => p.charAt(0).toUpperCase() + p.slice(1);
+  const camel = parts.map((p, i) => (i ? cap(p) : p)).join('');
+  return style === 'pascal' ? cap(camel) : camel;
+}
+
+/**
+ * Serialise strings and plain objects as a JavaScript literal: identifier and
+ * integer keys stay bare (`space: { 1: … }`), everything else is single-quoted.
+ *
+ * @param {string|object} value Value to serialise.
+ * @param {string} [indent=''] Current indentation.
+ * @returns {string} Source text.
+ */
+function jsLiteral(value, indent = '') {
+  if (typeof value === 'string') return `'${value.replace(/[\\']/g, '\\$&')}'`;
+  const inner = `${indent}  `;
+  const entries = Object.entries(value).map(([k, v]) => {
+    const key = /^(?:[A-Za-z_$][\w$]*|0|[1-9]\d*)$/.test(k) ? k : jsLiteral(k);
+    return `${inner}${key}: ${jsLiteral(v, inner)},`;
+  });
+  return entries.length ? `{\n${entries.join('\n')}\n${indent}}` : '{}';
+}
+
 /**
  * Normalize a duration string to seconds with millisecond precision.
  *
@@ -1210,17 +5529,39 @@ function normalizeDuration(str) {
 
 /**
  * Parse a CSS color token and return its RGBA components.
- * Supports hex, rgb[a] and hsl[a] forms. Unknown formats produce opaque black.
+ * Supports hex, named colors, `transparent`, and every CSS Color 4 function
+ * (rgb, hsl, hwb, lab, lch, oklab, oklch, color()). Wide-gamut colors are
+ * clipped to sRGB. `currentColor` has no fixed value and yields `null`, as
+ * does a color function `parseColorFunction()` can't read (extraction skips those).
  *
  * @param {string} token Color literal to parse.
- * @returns {{r:number,g:number,b:number,a:number}} RGBA representation.
+ * @returns {{r:number,g:number,b:number,a:number}|null} RGBA representation.
  */
 function toRgba(token) {
   token = token.trim().toLowerCase();
+  if (token === 'currentcolor') return null;
+  if (token === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[token]) return hexToRgba(NAMED_COLORS[token]);
   if (token.startsWith('#')) return hexToRgba(token);
-  if (token.startsWith('rgb')) return rgbStrToRgba(token);
-  if (token.startsWith('hsl')) return hslStrToRgba(token);
-  return { r: 0, g: 0, b: 0, a: 1 };
+  const parsed = parseColorFunction(token);
+  if (!parsed) return null;
+  const { space, coords, alpha } = parsed;
+  const [r, g, b] =
+    space === 'srgb' ? coords : COLOR_SPACES.srgb.fromXyz(COLOR_SPACES[space].toXyz(coords));
+  return clampRgb({ r: r * 255, g: g * 255, b: b * 255, a: alpha });
+}
+
+/**
+ * Check that a color literal lies inside sRGB, so `toRgba()` did not clip it.
+ *
+ * @param {string} token Color literal.
+ * @returns {boolean} False for wide-gamut colors outside sRGB.
+ */
+function inSrgbGamut(token) {
+  const parsed = parseColorFunction(token.trim().toLowerCase());
+  if (!parsed || parsed.space === 'srgb') return true;
+  const rgb = COLOR_SPACES.srgb.fromXyz(COLOR_SPACES[parsed.space].toXyz(parsed.coords));
+  return rgb.every((v) => v > -0.5 / 255 && v < 1 + 0.5 / 255);
 }
 
 /**
@@ -1250,51 +5591,117 @@ function hexToRgba(hex) {
 }
 
 /**
- * Parse an `rgb()`/`rgba()` string into RGBA components.
- * Percentage values are converted to 0–255; alpha defaults to 1.
+ * Parse a color function (`rgb()`, `hsl()`, `oklch()`, `color(display-p3 …)`…)
+ * into its color space, coordinates and alpha. Accepts both the legacy comma
+ * syntax and the modern space-separated syntax with `/ alpha`; `none` reads as 0.
+ * Relative colors (`from`), nested functions (`calc()`, `var()`…) and anything
+ * else that isn't a plain number per channel can't be resolved here.
  *
- * @param {string} str CSS rgb/rgba string.
- * @returns {{r:number,g:number,b:number,a:number}} Clamped RGBA values.
+ * @param {string} str Lower-cased color function.
+ * @returns {{space:string, coords:number[], alpha:number}|null} Parsed color, or `null` when it can't be read.
  */
-function rgbStrToRgba(str) {
-  const parts = str
-    .slice(str.indexOf('(') + 1, str.lastIndexOf(')'))
-    .split(',')
-    .map((s) => s.trim());
-  const to255 = (v) => (/%$/.test(v) ? Math.round(parseFloat(v) * 2.55) : parseFloat(v));
-  const r = to255(parts[0] || '0'),
-    g = to255(parts[1] || '0'),
-    b = to255(parts[2] || '0');
-  const a = parts[3] != null ? parseFloat(parts[3]) : 1;
-  return { r: clamp(r, 0, 255), g: clamp(g, 0, 255), b: clamp(b, 0, 255), a: clamp(a, 0, 1) };
+function parseColorFunction(str) {
+  const m = /^([a-z]+)\(([\s\S]*)\)$/.exec(str.trim());
+  if (!m || /\(|\bfrom\b/.test(m[2])) return null;
+  let body = m[2].trim();
+  let space = { rgb: 'srgb', rgba: 'srgb', hsla: 'hsl' }[m[1]] || m[1];
+  let ranges = COLOR_SPACES[space] && COLOR_SPACES[space].ranges;
+  if (space === 'color') {
+    // color(<predefined space> c1 c2 c3): channels are plain 0..1 numbers
+    const sm = /^([a-z0-9-]+)\s*([\s\S]*)$/.exec(body);
+    if (!sm) return null;
+    space = sm[1] === 'xyz' ? 'xyz-d65' : sm[1];
+    body = sm[2];
+    if (!PREDEFINED_SPACES.test(space)) return null;
+    ranges = UNIT_RANGES;
+  }
+  if (!ranges) return null;
+
+  let alphaStr = null;
+  const slash = body.lastIndexOf('/');
+  if (slash !== -1) {
+    alphaStr = body.slice(slash + 1).trim();
+    body = body.slice(0, slash);
+  }
+  const parts = (body.includes(',') ? body.split(',') : body.trim().split(/\s+/))
+    .map((x) => x.trim())
+    .filter(Boolean);
+  if (alphaStr == null && parts.length > 3) alphaStr = parts[3];
+  if (parts.length > 4 || (parts.length > 3 && slash !== -1)) return null;
+
+  const coords = ranges.map((range, i) => parseColorComponent(parts[i] || '0', range));
+  const alpha =
+    alphaStr == null ? 1 : clamp(parseColorComponent(alphaStr, { pct: 0.01 }), 0, 1);
+  if (coords.some(Number.isNaN) || Number.isNaN(alpha)) return null;
+  return { space, coords, alpha };
 }
 
 /**
- * Parse an `hsl()`/`hsla()` string and convert to RGBA.
+ * Read one color function argument. Percentages and plain numbers are scaled
+ * by the channel's reference range; hues accept deg/rad/grad/turn.
  *
- * @param {string} str CSS hsl/hsla string.
- * @returns {{r:number,g:number,b:number,a:number}} RGBA color.
+ * @param {string} raw Argument text.
+ * @param {'hue'|{pct:number, num?:number}} range Channel scaling rule.
+ * @returns {number} Channel value in the color space's own units.
  */
-function hslStrToRgba(str) {
-  const parts = str
-    .slice(str.indexOf('(') + 1, str.lastIndexOf(')'))
-    .split(',')
-    .map((s) => s.trim());
-  let h = parseFloat(parts[0] || '0');
-  let s = /%$/.test(parts[1]) ? parseFloat(parts[1]) / 100 : parseFloat(parts[1] || '0');
-  let l = /%$/.test(parts[2]) ? parseFloat(parts[2]) / 100 : parseFloat(parts[2] || '0');
-  const a = parts[3] != null ? parseFloat(parts[3]) : 1;
-  return hslToRgba({ h, s, l, a });
+function parseColorComponent(raw, range) {
+  const s = raw.trim().toLowerCase();
+  if (s === 'none') return 0;
+  const n = parseFloat(s);
+  if (isNaN(n)) return 0;
+  if (range === 'hue') {
+    if (s.endsWith('rad')) return (n * 180) / Math.PI;
+    if (s.endsWith('grad')) return n * 0.9;
+    if (s.endsWith('turn')) return n * 360;
+    return n;
+  }
+  return s.endsWith('%') ? n * range.pct : n * (range.num == null ? 1 : range.num);
+}
+
+/**
+ * Detect the notation a color literal was written in, for `--preserve-color-space`.
+ *
+ * @param {string} lit Color literal.
+ * @returns {string} `hex` (hex, keywords), `rgb`, or a `COLOR_SPACES` key such as `oklch` or `display-p3`.
+ */
+function colorNotation(lit) {
+  const t = lit.trim().toLowerCase();
+  const fn = /^([a-z]+)\(/.exec(t);
+  if (!fn) return 'hex';
+  if (fn[1] === 'color') {
+    const space = /^color\(\s*([a-z0-9-]+)/.exec(t);
+    const id = space && (space[1] === 'xyz' ? 'xyz-d65' : space[1]);
+    return id && PREDEFINED_SPACES.test(id) ? id : 'hex';
+  }
+  if (fn[1] === 'rgb' || fn[1] === 'rgba') return 'rgb';
+  if (fn[1] === 'hsla') return 'hsl';
+  return COLOR_SPACES[fn[1]] ? fn[1] : 'hex';
 }
 
 /**
  * Serialise an RGBA object to a CSS color string.
- * Hex notation is used when alpha is 1; otherwise `rgba()` is emitted.
+ * With the default `hex` notation, hex is used when alpha is 1 and `rgba()`
+ * otherwise. Any other notation (`rgb`, `hsl`, `oklch`, `display-p3`, …)
+ * produces the modern space-separated syntax of that function.
  *
  * @param {{r:number,g:number,b:number,a:number}} rgba RGBA color.
+ * @param {string} [notation='hex'] Target notation (see `colorNotation()`).
  * @returns {string} CSS color string.
  */
-function rgbaToCss({ r, g, b, a }) {
+function rgbaToCss({ r, g, b, a }, notation = 'hex') {
+  const alpha = a === 1 ? '' : ` / ${round(a, 4)}`;
+  if (notation === 'rgb') return `rgb(${r} ${g} ${b}${alpha})`;
+  if (notation !== 'hex' && COLOR_SPACES[notation]) {
+    const c = COLOR_SPACES[notation].fromXyz(COLOR_SPACES.srgb.toXyz([r / 255, g / 255, b / 255]));
+    const [p0, p1, p2] = COLOR_SPACES[notation].precision;
+    const body = `${round(c[0], p0)} ${round(c[1], p1)} ${round(c[2], p2)}`;
+    if (notation === 'hsl' || notation === 'hwb') {
+      const h = round(c[0], 2) % 360;
+      return `${notation}(${h} ${round(c[1] * 100, 2)}% ${round(c[2] * 100, 2)}%${alpha})`;
+    }
+    if (PREDEFINED_SPACES.test(notation)) return `color(${notation} ${body}${alpha})`;
+    return `${notation}(${body}${alpha})`;
+  }
   if (a === 1) {
     const hex = (n) => n.toString(16).padStart(2, '0');
     return `#${hex(r)}${hex(g)}${hex(b)}`;
@@ -1302,6 +5709,341 @@ function rgbaToCss({ r, g, b, a }) {
   return `rgba(${r}, ${g}, ${b}, ${round(a, 4)})`;
 }
 
+/* CSS Color 4 color spaces: every space converts to/from CIE XYZ (D65). */
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+const COLOR_MATRICES = {
+  srgbToXyz: [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+  ],
+  xyzToSrgb: [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+  ],
+  p3ToXyz: [
+    [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+    [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+    [0, 0.04511338185890264, 1.043944368900976],
+  ],
+  xyzToP3: [
+    [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+    [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+    [0.03584583024378447, -0.07617238926804182, 0.9568845240076872],
+  ],
+  a98ToXyz: [
+    [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+    [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+    [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+  ],
+  xyzToA98: [
+    [2.0415879038107465, -0.5650069742788596, -0.34473135077832956],
+    [-0.9692436362808795, 1.8759675015077202, 0.04155505740717557],
+    [0.013444280632031142, -0.11836239223101838, 1.0151749943912054],
+  ],
+  rec2020ToXyz: [
+    [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+    [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+    [0, 0.028072693049087428, 1.060985057710791],
+  ],
+  xyzToRec2020: [
+    [1.716651187971268, -0.355670783776392, -0.25336628137366],
+    [-0.666684351832489, 1.616481236634939, 0.0157685458139111],
+    [0.017639857445311, -0.042770613257809, 0.942103121235474],
+  ],
+  prophotoToXyzD50: [
+    [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+    [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+    [0, 0, 0.8251046025104601],
+  ],
+  xyzD50ToProphoto: [
+    [1.3457989731028281, -0.25558010007997534, -0.05110628506753401],
+    [-0.5446224939028347, 1.5082327413132781, 0.02053603239147973],
+    [0, 0, 1.2119675456389454],
+  ],
+  d65ToD50: [
+    [1.0479298208405488, 0.022946793341019088, -0.05019222954313557],
+    [0.029627815688159344, 0.990434484573249, -0.01707382502938514],
+    [-0.009243058152591178, 0.015055144896577895, 0.7518742899580008],
+  ],
+  d50ToD65: [
+    [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+    [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+    [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+  ],
+  xyzToLms: [
+    [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+    [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+    [0.0481771893596242, 0.2642395317527308, 0.6335478284694309],
+  ],
+  lmsToXyz: [
+    [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+    [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+    [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816],
+  ],
+  lmsToOklab: [
+    [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+    [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+    [0.0259040424655478, 0.7827717124575296, -0.8086757549230774],
+  ],
+  oklabToLms: [
+    [1, 0.3963377773761749, 0.2158037573099136],
+    [1, -0.1055613458156586, -0.0638541728258133],
+    [1, -0.0894841775298119, -1.2914855480194092],
+  ],
+};
+
+// channel rules shared by the RGB-like spaces: percentages map onto 0..1
+const UNIT_RANGES = [{ pct: 0.01 }, { pct: 0.01 }, { pct: 0.01 }];
+// spaces that are written as color(<space> …)
+const PREDEFINED_SPACES = /^(srgb|srgb-linear|display-p3|a98-rgb|prophoto-rgb|rec2020|xyz-d50|xyz-d65)$/;
+
+/**
+ * Supported color spaces. `ranges` scales parsed arguments into the space's
+ * units, `precision` is the number of decimals used when serialising.
+ */
+const COLOR_SPACES = {
+  srgb: {
+    ranges: [
+      { pct: 0.01, num: 1 / 255 },
+      { pct: 0.01, num: 1 / 255 },
+      { pct: 0.01, num: 1 / 255 },
+    ],
+    precision: [4, 4, 4],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.srgbToXyz, c.map(srgbToLinear)),
+    fromXyz: (xyz) => mulMatrix(COLOR_MATRICES.xyzToSrgb, xyz).map(linearToSrgb),
+  },
+  'srgb-linear': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.srgbToXyz, c),
+    fromXyz: (xyz) => mulMatrix(COLOR_MATRICES.xyzToSrgb, xyz),
+  },
+  'display-p3': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.p3ToXyz, c.map(srgbToLinear)),
+    fromXyz: (xyz) => mulMatrix(COLOR_MATRICES.xyzToP3, xyz).map(linearToSrgb),
+  },
+  'a98-rgb': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) =>
+      mulMatrix(
+        COLOR_MATRICES.a98ToXyz,
+        c.map((v) => Math.sign(v) * Math.abs(v) ** (563 / 256))
+      ),
+    fromXyz: (xyz) =>
+      mulMatrix(COLOR_MATRICES.xyzToA98, xyz).map((v) => Math.sign(v) * Math.abs(v) ** (256 / 563)),
+  },
+  'prophoto-rgb': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) =>
+      mulMatrix(
+        COLOR_MATRICES.d50ToD65,
+        mulMatrix(
+          COLOR_MATRICES.prophotoToXyzD50,
+          c.map((v) => (Math.abs(v) <= 16 / 512 ? v / 16 : Math.sign(v) * Math.abs(v) ** 1.8))
+        )
+      ),
+    fromXyz: (xyz) =>
+      mulMatrix(COLOR_MATRICES.xyzD50ToProphoto, mulMatrix(COLOR_MATRICES.d65ToD50, xyz)).map(
+        (v) => (Math.abs(v) >= 1 / 512 ? Math.sign(v) * Math.abs(v) ** (1 / 1.8) : 16 * v)
+      ),
+  },
+  rec2020: {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.rec2020ToXyz, c.map(rec2020ToLinear)),
+    fromXyz: (xyz) => mulMatrix(COLOR_MATRICES.xyzToRec2020, xyz).map(linearToRec2020),
+  },
+  'xyz-d65': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) => c,
+    fromXyz: (xyz) => xyz,
+  },
+  'xyz-d50': {
+    ranges: UNIT_RANGES,
+    precision: [4, 4, 4],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.d50ToD65, c),
+    fromXyz: (xyz) => mulMatrix(COLOR_MATRICES.d65ToD50, xyz),
+  },
+  hsl: {
+    ranges: ['hue', { pct: 0.01, num: 0.01 }, { pct: 0.01, num: 0.01 }],
+    precision: [2, 4, 4],
+    toXyz: (c) => COLOR_SPACES.srgb.toXyz(hslToSrgb(c)),
+    fromXyz: (xyz) => {
+      const [r, g, b] = COLOR_SPACES.srgb.fromXyz(xyz);
+      const { h, s, l } = rgbaToHsl({ r: r * 255, g: g * 255, b: b * 255, a: 1 });
+      return [h % 360, s, l];
+    },
+  },
+  hwb: {
+    ranges: ['hue', { pct: 0.01, num: 0.01 }, { pct: 0.01, num: 0.01 }],
+    precision: [2, 4, 4],
+    toXyz: ([h, w, bk]) => {
+      if (w + bk >= 1) {
+        const gray = w / (w + bk);
+        return COLOR_SPACES.srgb.toXyz([gray, gray, gray]);
+      }
+      const rgb = hslToSrgb([h, 1, 0.5]);
+      return COLOR_SPACES.srgb.toXyz(rgb.map((v) => v * (1 - w - bk) + w));
+    },
+    fromXyz: (xyz) => {
+      const rgb = COLOR_SPACES.srgb.fromXyz(xyz);
+      const { h } = rgbaToHsl({ r: rgb[0] * 255, g: rgb[1] * 255, b: rgb[2] * 255, a: 1 });
+      return [h % 360, Math.min(...rgb), 1 - Math.max(...rgb)];
+    },
+  },
+  lab: {
+    ranges: [{ pct: 1 }, { pct: 1.25 }, { pct: 1.25 }],
+    precision: [2, 2, 2],
+    toXyz: (c) => mulMatrix(COLOR_MATRICES.d50ToD65, labToXyzD50(c)),
+    fromXyz: (xyz) => xyzD50ToLab(mulMatrix(COLOR_MATRICES.d65ToD50, xyz)),
+  },
+  lch: {
+    ranges: [{ pct: 1 }, { pct: 1.5 }, 'hue'],
+    precision: [2, 2, 2],
+    toXyz: (c) => COLOR_SPACES.lab.toXyz(polarToRect(c)),
+    fromXyz: (xyz) => rectToPolar(COLOR_SPACES.lab.fromXyz(xyz)),
+  },
+  oklab: {
+    ranges: [{ pct: 0.01 }, { pct: 0.004 }, { pct: 0.004 }],
+    precision: [4, 4, 4],
+    toXyz: (c) =>
+      mulMatrix(
+        COLOR_MATRICES.lmsToXyz,
+        mulMatrix(COLOR_MATRICES.oklabToLms, c).map((v) => v ** 3)
+      ),
+    fromXyz: (xyz) =>
+      mulMatrix(COLOR_MATRICES.lmsToOklab, mulMatrix(COLOR_MATRICES.xyzToLms, xyz).map(Math.cbrt)),
+  },
+  oklch: {
+    ranges: [{ pct: 0.01 }, { pct: 0.004 }, 'hue'],
+    precision: [4, 4, 2],
+    toXyz: (c) => COLOR_SPACES.oklab.toXyz(polarToRect(c)),
+    fromXyz: (xyz) => rectToPolar(COLOR_SPACES.oklab.fromXyz(xyz)),
+  },
+};
+
+/**
+ * Multiply a 3×3 matrix by a 3-vector.
+ *
+ * @param {number[][]} m Matrix rows.
+ * @param {number[]} v Vector.
+ * @returns {number[]} Product.
+ */
+function mulMatrix(m, v) {
+  return m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * sRGB transfer function: gamma-encoded channel (0..1) to linear light.
+ *
+ * @param {number} c Encoded channel.
+ * @returns {number} Linear channel (sign preserved for out-of-gamut values).
+ */
+function srgbToLinear(c) {
+  const a = Math.abs(c);
+  return a <= 0.04045 ? c / 12.92 : Math.sign(c) * ((a + 0.055) / 1.055) ** 2.4;
+}
+
+/**
+ * Inverse sRGB transfer function: linear light to gamma-encoded channel.
+ *
+ * @param {number} c Linear channel.
+ * @returns {number} Encoded channel.
+ */
+function linearToSrgb(c) {
+  const a = Math.abs(c);
+  return a > 0.0031308 ? Math.sign(c) * (1.055 * a ** (1 / 2.4) - 0.055) : 12.92 * c;
+}
+
+/**
+ * Rec. 2020 transfer function: encoded channel to linear light.
+ *
+ * @param {number} c Encoded channel.
+ * @returns {number} Linear channel.
+ */
+function rec2020ToLinear(c) {
+  const alpha = 1.09929682680944;
+  const beta = 0.018053968510807;
+  const a = Math.abs(c);
+  return a < beta * 4.5 ? c / 4.5 : Math.sign(c) * ((a + alpha - 1) / alpha) ** (1 / 0.45);
+}
+
+/**
+ * Inverse Rec. 2020 transfer function.
+ *
+ * @param {number} c Linear channel.
+ * @returns {number} Encoded channel.
+ */
+function linearToRec2020(c) {
+  const alpha = 1.09929682680944;
+  const beta = 0.018053968510807;
+  const a = Math.abs(c);
+  return a > beta ? Math.sign(c) * (alpha * a ** 0.45 - (alpha - 1)) : 4.5 * c;
+}
+
+/**
+ * CIE Lab (D50) to XYZ (D50).
+ *
+ * @param {number[]} lab `[L, a, b]` with L in 0..100.
+ * @returns {number[]} XYZ relative to the D50 white.
+ */
+function labToXyzD50([L, a, b]) {
+  const f1 = (L + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+  const x = f0 ** 3 > LAB_EPSILON ? f0 ** 3 : (116 * f0 - 16) / LAB_KAPPA;
+  const y = L > LAB_KAPPA * LAB_EPSILON ? f1 ** 3 : L / LAB_KAPPA;
+  const z = f2 ** 3 > LAB_EPSILON ? f2 ** 3 : (116 * f2 - 16) / LAB_KAPPA;
+  return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+}
+
+/**
+ * XYZ (D50) to CIE Lab (D50).
+ *
+ * @param {number[]} xyz XYZ relative to the D50 white.
+ * @returns {number[]} `[L, a, b]`.
+ */
+function xyzD50ToLab(xyz) {
+  const f = xyz
+    .map((v, i) => v / D50_WHITE[i])
+    .map((v) => (v > LAB_EPSILON ? Math.cbrt(v) : (LAB_KAPPA * v + 16) / 116));
+  return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+}
+
+/**
+ * Polar `[L, C, H]` (lch/oklch) to rectangular `[L, a, b]`.
+ *
+ * @param {number[]} lch Polar coordinates, hue in degrees.
+ * @returns {number[]} Rectangular coordinates.
+ */
+function polarToRect([L, C, H]) {
+  const rad = (H * Math.PI) / 180;
+  return [L, C * Math.cos(rad), C * Math.sin(rad)];
+}
+
+/**
+ * Rectangular `[L, a, b]` to polar `[L, C, H]`; achromatic colors get hue 0.
+ *
+ * @param {number[]} lab Rectangular coordinates.
+ * @returns {number[]} Polar coordinates, hue in 0..360.
+ */
+function rectToPolar([L, a, b]) {
+  const C = Math.sqrt(a * a + b * b);
+  const H = C < 1e-4 ? 0 : (((Math.atan2(b, a) * 180) / Math.PI) % 360 + 360) % 360;
+  return [L, C, H];
+}
+
 /**
  * Round a number to a fixed precision.
  *
@@ -1368,24 +6110,31 @@ function rgbaToHsl({ r, g, b, a }) {
  * @returns {{r:number,g:number,b:number,a:number}} RGBA color.
  */
 function hslToRgba({ h, s, l, a = 1 }) {
+  const t = hslToSrgb([h, s, l]);
+  return { r: Math.round(t[0] * 255), g: Math.round(t[1] * 255), b: Math.round(t[2] * 255), a };
+}
+
+/**
+ * Convert HSL to unrounded sRGB channels in 0..1.
+ *
+ * @param {number[]} hsl `[h, s, l]` with hue in degrees, s/l in 0..1.
+ * @returns {number[]} `[r, g, b]` channels.
+ */
+function hslToSrgb([h, s, l]) {
   h = ((h % 360) + 360) % 360;
   s = clamp(s, 0, 1);
   l = clamp(l, 0, 1);
-  if (s === 0) {
-    const v = Math.round(l * 255);
-    return { r: v, g: v, b: v, a };
-  }
+  if (s === 0) return [l, l, l];
   const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
   const p = 2 * l - q;
   const hk = h / 360;
-  const t = [hk + 1 / 3, hk, hk - 1 / 3].map((x) => {
+  return [hk + 1 / 3, hk, hk - 1 / 3].map((x) => {
     x = ((x % 1) + 1) % 1;
     if (x < 1 / 6) return p + (q - p) * 6 * x;
     if (x < 1 / 2) return q;
     if (x < 2 / 3) return p + (q - p) * (2 / 3 - x) * 6;
     return p;
   });
-  return { r: Math.round(t[0] * 255), g: Math.round(t[1] * 255), b: Math.round(t[2] * 255), a };
 }
 
 /**
@@ -1405,6 +6154,78 @@ function relLuminance({ r, g, b }) {
   return 0.2126 * R + 0.7152 * G + 0.0722 * B;
 }
 
+/**
+ * WCAG 2.x contrast ratio. A translucent foreground is composited over the
+ * background first.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} fg Text color.
+ * @param {{r:number,g:number,b:number,a:number}} bg Background color.
+ * @returns {number} Ratio from 1 to 21.
+ */
+function wcagContrast(fg, bg) {
+  const a = relLuminance(blendOver(fg, bg));
+  const b = relLuminance(bg);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+/**
+ * APCA (W3 0.0.98G) lightness contrast of text on a background.
+ * Positive for dark text on light backgrounds, negative for the reverse.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} fg Text color.
+ * @param {{r:number,g:number,b:number,a:number}} bg Background color.
+ * @returns {number} Lc value, roughly -108..106.
+ */
+function apcaContrast(fg, bg) {
+  const Y = ({ r, g, b }) => {
+    const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.072175 * (b / 255) ** 2.4;
+    return y > 0.022 ? y : y + (0.022 - y) ** 1.414;
+  };
+  const yt = Y(blendOver(fg, bg));
+  const yb = Y(bg);
+  if (Math.abs(yb - yt) < 0.0005) return 0;
+  if (yb > yt) {
+    const s = (yb ** 0.56 - yt ** 0.57) * 1.14;
+    return s < 0.1 ? 0 : (s - 0.027) * 100;
+  }
+  const s = (yb ** 0.65 - yt ** 0.62) * 1.14;
+  return s > -0.1 ? 0 : (s + 0.027) * 100;
+}
+
+/**
+ * Composite a (possibly translucent) color over an opaque backdrop.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} top Foreground color.
+ * @param {{r:number,g:number,b:number}} under Backdrop color.
+ * @returns {{r:number,g:number,b:number,a:number}} Opaque result.
+ */
+function blendOver(top, under) {
+  if (top.a >= 1) return top;
+  const mix = (t, u) => t * top.a + u * (1 - top.a);
+  return { r: mix(top.r, under.r), g: mix(top.g, under.g), b: mix(top.b, under.b), a: 1 };
+}
+
+/**
+ * Move a color's OKLCH lightness away from `away` in 0.01 steps (hue and
+ * chroma kept, gamut-mapped) until `score` reaches `target` or lightness runs out.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} rgba Color to adjust.
+ * @param {{r:number,g:number,b:number,a:number}} away Color to move away from.
+ * @param {(c: object) => number} score Contrast of a candidate.
+ * @param {number} target Score to reach.
+ * @returns {{r:number,g:number,b:number,a:number}} Adjusted color (`rgba` itself when already passing).
+ */
+function nudgeLightness(rgba, away, score, target) {
+  const [L0, C, H] = rgbaToOklch(rgba);
+  const dir = L0 >= rgbaToOklch(away)[0] ? 1 : -1;
+  let out = rgba;
+  for (let L = L0; score(out) < target && L > 0 && L < 1; ) {
+    L = clamp(L + dir * 0.01, 0, 1);
+    out = oklchToRgba([L, C, H], rgba.a);
+  }
+  return out;
+}
+
 // minimal OKLCH tone-like dark transform (fallback approximation)
 
 /**
@@ -1425,16 +6246,137 @@ function toDarkTone(rgba) {
   return clampRgb(hslToRgba(out));
 }
 
+/**
+ * Perceptual dark transform in OKLCH.
+ * Lightness is flipped along a curve that keeps dark-theme text bright and
+ * backgrounds off pure black; chromatic colors stay in a readable band so
+ * brand colors keep their character. Hue is never changed: chroma is reduced
+ * slightly and then only as far as needed to fit the sRGB gamut.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} rgba Source color.
+ * @returns {{r:number,g:number,b:number,a:number}} Transformed color.
+ */
+function toDarkOklch(rgba) {
+  const [l, C, H] = rgbaToOklch(rgba);
+  const L = clamp(l, 0, 1);
+  const flipped = 0.16 + 0.79 * (1 - L) ** 0.85;
+  // chromatic colors (C ≳ 0.1) are kept between 0.62 and 0.86 lightness instead of flipped
+  const w = clamp(C / 0.1, 0, 1);
+  const Ld = flipped * (1 - w) + clamp(L, 0.62, 0.86) * w;
+  return oklchToRgba([Ld, C * 0.9, H], rgba.a);
+}
+
+/**
+ * Convert an RGBA color to OKLCH coordinates.
+ *
+ * @param {{r:number,g:number,b:number,a:number}} rgba RGBA color.
+ * @returns {number[]} `[L, C, H]` with L in 0..1 and H in degrees.
+ */
+function rgbaToOklch({ r, g, b }) {
+  return COLOR_SPACES.oklch.fromXyz(COLOR_SPACES.srgb.toXyz([r / 255, g / 255, b / 255]));
+}
+
+/**
+ * Convert an RGBA color to CIE Lab (D50).
+ *
+ * @param {{r:number,g:number,b:number,a:number}} rgba RGBA color.
+ * @returns {number[]} `[L, a, b]` with L in 0..100.
+ */
+function rgbaToLab({ r, g, b }) {
+  return COLOR_SPACES.lab.fromXyz(COLOR_SPACES.srgb.toXyz([r / 255, g / 255, b / 255]));
+}
+
+/**
+ * CIEDE2000 color difference between two Lab colors.
+ * Around 1 is barely noticeable side by side; above 5 reads as a different color.
+ *
+ * @param {number[]} lab1 First `[L, a, b]`.
+ * @param {number[]} lab2 Second `[L, a, b]`.
+ * @returns {number} ΔE00.
+ */
+function deltaE2000([L1, a1, b1], [L2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const ap1 = a1 * (1 + G),
+    ap2 = a2 * (1 + G);
+  const C1 = Math.hypot(ap1, b1),
+    C2 = Math.hypot(ap2, b2);
+  const hue = (b, a) => (a === 0 && b === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1 = hue(b1, ap1),
+    h2 = hue(b2, ap2);
+
+  const dL = L2 - L1;
+  const dC = C2 - C1;
+  let dh = 0;
+  if (C1 * C2 !== 0) {
+    dh = h2 - h1;
+    if (dh > 180) dh -= 360;
+    else if (dh < -180) dh += 360;
+  }
+  const dH = 2 * Math.sqrt(C1 * C2) * Math.sin((dh / 2) * rad);
+
+  const Lbar = (L1 + L2) / 2;
+  const Cpbar = (C1 + C2) / 2;
+  let hbar = h1 + h2;
+  if (C1 * C2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) hbar /= 2;
+    else hbar = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+  }
+  const T =
+    1 -
+    0.17 * Math.cos((hbar - 30) * rad) +
+    0.24 * Math.cos(2 * hbar * rad) +
+    0.32 * Math.cos((3 * hbar + 6) * rad) -
+    0.2 * Math.cos((4 * hbar - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbar - 275) / 25) ** 2));
+  const Rc = 2 * Math.sqrt(Cpbar ** 7 / (Cpbar ** 7 + 25 ** 7));
+  const Sl = 1 + (0.015 * (Lbar - 50) ** 2) / Math.sqrt(20 + (Lbar - 50) ** 2);
+  const Sc = 1 + 0.045 * Cpbar;
+  const Sh = 1 + 0.015 * Cpbar * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+  return Math.sqrt(
+    (dL / Sl) ** 2 + (dC / Sc) ** 2 + (dH / Sh) ** 2 + Rt * (dC / Sc) * (dH / Sh)
+  );
+}
+
+/**
+ * Convert OKLCH coordinates to an RGBA color, gamut-mapping into sRGB by
+ * reducing chroma (binary search) at constant lightness and hue.
+ *
+ * @param {number[]} lch `[L, C, H]` coordinates.
+ * @param {number} [alpha=1] Alpha channel.
+ * @returns {{r:number,g:number,b:number,a:number}} RGBA color.
+ */
+function oklchToRgba([L, C, H], alpha = 1) {
+  const toSrgb = (c) => COLOR_SPACES.srgb.fromXyz(COLOR_SPACES.oklch.toXyz([L, c, H]));
+  const inGamut = (rgb) => rgb.every((v) => v >= -1e-4 && v <= 1 + 1e-4);
+  let rgb = toSrgb(C);
+  if (!inGamut(rgb)) {
+    let lo = 0,
+      hi = C;
+    while (hi - lo > 1e-4) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(toSrgb(mid))) lo = mid;
+      else hi = mid;
+    }
+    rgb = toSrgb(lo);
+  }
+  const [r, g, b] = rgb;
+  return clampRgb({ r: r * 255, g: g * 255, b: b * 255, a: alpha });
+}
+
 /**
  * Transform a color for dark mode using one of several algorithms.
  *
  * @param {{r:number,g:number,b:number,a:number}} rgba Source color.
- * @param {string} mode `invert`, `tone`, or default lightness flip.
+ * @param {string} mode `invert`, `tone`, `oklch`, or default lightness flip.
  * @returns {{r:number,g:number,b:number,a:number}} Transformed color.
  */
 function toDark(rgba, mode) {
   if (mode === 'invert') return clampRgb(invertRgb(rgba));
-  if (mode === 'tone') return toDarkTone(rgba); // NEW algorithm
+  if (mode === 'tone') return toDarkTone(rgba);
+  if (mode === 'oklch') return toDarkOklch(rgba);
   // default: flip lightness
   const hsl = rgbaToHsl(rgba);
   const neutral = hsl.s < 0.08;
@@ -1485,7 +6427,7 @@ function hslDist(a, b) {
 /* ---------------------------------------------------------------
    UNIT CONVERSION
    - Supports px, rem, em
-   - Uses global ROOT_SIZE (rem) and CONTEXT_SIZE (em)
+   - Uses the `rootPx` (rem) and `contextPx` (em) bases from the options
 ---------------------------------------------------------------- */
 
 /**
@@ -1541,13 +6483,14 @@ function parseSelectorAlias(spec) {
  * Handles comma-separated selector lists.
  *
  * @param {string} sel Raw selector string from the CSS rule.
+ * @param {Map<string,string>} aliases Parsed `--selector-alias` map.
  * @returns {Set<string>} Set of alias names matched for this selector.
  */
-function selectorAliasesFor(sel) {
+function selectorAliasesFor(sel, aliases) {
   const out = new Set();
-  if (!SELECTOR_ALIASES.size) return out;
+  if (!aliases.size) return out;
   sel.split(',').forEach((part) => {
-    const a = SELECTOR_ALIASES.get(part.trim());
+    const a = aliases.get(part.trim());
     if (a) out.add(a);
   });
   return out;
@@ -1670,21 +6613,17 @@ function convertCssUnits(
   { rootPx = 16, contextPx = 16, vwPx = 100, vhPx = 100, percentBase = 100, chPx = 1 } = {}
 ) {
   if (!pairs.length) return source;
-  const fsMap = buildFontSizeMap(source);
-  return source.replace(RULE_RE, (full, sel, decls) => {
-    const ctxPx = fsMap.get(sel.trim()) || contextPx;
-    const newDecls = decls.replace(PROP_RE, (m, prop, val) => {
-      const v = convertUnitsInValue(val, pairs, {
-        rootPx,
-        contextPx: ctxPx,
-        vwPx,
-        vhPx,
-        percentBase,
-        chPx,
-      });
-      return `${prop}: ${v};`;
+  const fsMap = buildFontSizeMap(source, { rootPx, contextPx });
+  return rewriteByProp(source, (prop, val, e) => {
+    const ctxPx = fsMap.get(e.selector) || contextPx;
+    return convertUnitsInValue(val, pairs, {
+      rootPx,
+      contextPx: ctxPx,
+      vwPx,
+      vhPx,
+      percentBase,
+      chPx,
     });
-    return `${sel}{${newDecls}}`;
   });
 }
 
@@ -1706,9 +6645,10 @@ function prettifyUnit(n, unit) {
  * Supports px/rem/em and falls back to 0 for unsupported or unitless values.
  *
  * @param {string|number} lit Length literal.
+ * @param {{rootPx?:number, contextPx?:number}} [param1] Pixel bases for rem/em.
  * @returns {number} Pixel value or 0 when invalid.
  */
-function lenToPxSafe(lit) {
+function lenToPxSafe(lit, { rootPx = 16, contextPx = 16 } = {}) {
   // supports px/rem/em; falls back: unitless/others => NaN -> treat as 0
   const m = String(lit)
     .trim()
@@ -1717,8 +6657,8 @@ function lenToPxSafe(lit) {
   const n = parseFloat(m[1]);
   const u = m[2].toLowerCase();
   if (u === 'px') return n;
-  if (u === 'rem') return n * ROOT_SIZE;
-  if (u === 'em') return n * CONTEXT_SIZE;
+  if (u === 'rem') return n * rootPx;
+  if (u === 'em') return n * contextPx;
   return 0;
 }
 
@@ -1728,15 +6668,16 @@ function lenToPxSafe(lit) {
  * and the keyword `normal` falls back to 1.2.
  *
  * @param {string|number} v Line-height value.
+ * @param {{rootPx?:number, contextPx?:number}} [units] Pixel bases for rem/em.
  * @returns {number} Numeric line-height or pixel approximation.
  */
-function lineHeightToFloat(v) {
+function lineHeightToFloat(v, units) {
   // unitless -> number, length -> px (approx), keyword "normal" -> 1.2 (conventional fallback)
   const s = String(v).trim().toLowerCase();
   if (s === 'normal') return 1.2;
   const unitless = s.match(/^(-?\d*\.?\d+)$/);
   if (unitless) return parseFloat(unitless[1]);
-  const px = lenToPxSafe(s);
+  const px = lenToPxSafe(s, units);
   return isNaN(px) ? 0 : px;
 }
 
@@ -1783,21 +6724,17 @@ function convertUnitsInFunctions(value, pairs, opts) {
  * Used to determine context when converting `em` units.
  *
  * @param {string} source CSS source prior to conversion.
+ * @param {{rootPx?:number, contextPx?:number}} [units] Pixel bases for rem/em.
  * @returns {Map<string, number>} Map of selector -> pixel font-size.
  */
-function buildFontSizeMap(source) {
+function buildFontSizeMap(source, units) {
   const map = new Map(); // selector -> px
-  source.replace(RULE_RE, (full, sel, decls) => {
-    decls.replace(PROP_RE, (m, prop, val) => {
-      if (prop.trim().toLowerCase() === 'font-size') {
-        // normalize to px using ROOT/CONTEXT fallbacks
-        const px = lenToPxSafe(val.trim());
-        if (px) map.set(sel.trim(), px);
-      }
-      return m;
-    });
-    return full;
-  });
+  for (const e of parseEntries(source)) {
+    if (e.prop !== 'font-size') continue;
+    // normalize to px using root/context fallbacks
+    const px = lenToPxSafe(e.value, units);
+    if (px) map.set(e.selector, px);
+  }
   return map;
 }
 
@@ -1916,3 +6853,7 @@ function normalizeRadius(v) {
 function isCssWideKeyword(s) {
   return /^(inherit|initial|unset|revert|revert-layer)$/i.test(String(s).trim());
 }
+
+module.exports = { tokenize, tokenizeMany, parseStylesheet, DEFAULT_OPTIONS };
+
+if (require.main === module) main(process.argv.slice(2));